@@ -21,10 +21,31 @@
 
 const FILE_EXTENSION = ".puz";
 const FILE_SIGNATURE = "pzfilecct";
+// layout of the saved games getStateData() writes, older ones go through SAVE_MIGRATIONS
+const SAVE_VERSION = 2;
+// first byte of the codes toShareCode() writes
+const SHARE_CODE_VERSION = 1;
+// largest width or height of the whole puzzle in bitmap pixels, whatever the zoom and pixel ratio
+const MAX_BITMAP_SIZE = 4096;
+// events handled while the pieces scatter, the others wait for the game
+const SCATTER_EVENTS = ["finished", "resize", "reset"];
+
+// Keyboard play
+const KEY_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
+const PLAY_KEYS = new Set([
+  ...Object.keys(KEY_DIRECTIONS),
+  "Enter", " ", "Escape", "n", "N", "p", "P", "r", "R", "m", "M", "+", "=", "-", "h", "H", "?"
+]);
+// hint(): two polypieces that fit, where a piece belongs on the board, or placing one piece
+const HINT_MODES = ["pair", "target", "place"];
 
 // Math shortcuts
 const mhypot = Math.hypot,
-  mrandom = Math.random,
   mmax = Math.max,
   mmin = Math.min,
   mround = Math.round,
@@ -37,23 +58,10 @@ const mhypot = Math.hypot,
 // Utility Functions
 // ============================================================================
 
-function alea(min, max) {
-  if (typeof max == "undefined") return min * mrandom();
-  return min + (max - min) * mrandom();
-}
-
-function intAlea(min, max) {
-  if (typeof max == "undefined") {
-    max = min;
-    min = 0;
-  }
-  return mfloor(min + (max - min) * mrandom());
-}
-
-function arrayShuffle(array) {
+function arrayShuffle(array, prng) {
   let k1, temp;
   for (let k = array.length - 1; k >= 1; --k) {
-    k1 = intAlea(0, k + 1);
+    k1 = prng.intAlea(0, k + 1);
     temp = array[k];
     array[k] = array[k1];
     array[k1] = temp;
@@ -67,7 +75,7 @@ function arrayShuffle(array) {
 
 function mMash(seed) {
   let n = 0xefc8249d;
-  let intSeed = (seed || Math.random()).toString();
+  let intSeed = (seed === undefined || seed === null || seed === "" ? Math.random() : seed).toString();
 
   function mash(data) {
     if (data) {
@@ -121,6 +129,26 @@ function mMash(seed) {
 // Core Geometry Classes
 // ============================================================================
 
+/**
+ * Difference between two angles in quarter turns, from 0 to 2
+ */
+function angleDistance(rot1, rot2) {
+  const d = (((rot1 - rot2) % 4) + 4) % 4;
+  return mmin(d, 4 - d);
+}
+
+/**
+ * Cosine and sine of a clockwise rotation in quarter turns, exact for whole quarter turns
+ */
+function rotationCosSin(rot) {
+  if (Number.isInteger(rot)) {
+    const k = ((rot % 4) + 4) % 4;
+    return { c: [1, 0, -1, 0][k], s: [0, 1, 0, -1][k] };
+  }
+  const angle = (rot * Math.PI) / 2;
+  return { c: Math.cos(angle), s: Math.sin(angle) };
+}
+
 class Point {
   constructor(x, y) {
     this.x = Number(x);
@@ -352,25 +380,115 @@ function twist3(side, ca, cb, prng) {
   side.points = [side.points[0], side.points[1]];
 }
 
+// ============================================================================
+// Shape Registry
+// ============================================================================
+
+const BUILTIN_SHAPES = [twist0, twist1, twist2, twist3];
+const customShapes = new Map();
+
+/**
+ * Registers a custom edge generator under a name usable as shapeType.
+ * The function gets (side, ca, cb, prng) like twist0-twist3 and either
+ * modifies side.points in place or returns the new Bézier points.
+ */
+function registerShape(name, twistf) {
+  if (typeof name !== "string" || name.length === 0) {
+    throw new Error("Shape name must be a non-empty string");
+  }
+  if (typeof twistf !== "function") {
+    throw new Error(`Shape "${name}" must be a function`);
+  }
+  customShapes.set(name, twistf);
+}
+
+function isKnownShape(shapeType) {
+  if (typeof shapeType === "number") return !!BUILTIN_SHAPES[shapeType];
+  return customShapes.has(shapeType);
+}
+
+/**
+ * Turns a shapeType option into the value stored on the puzzle: builtin
+ * indexes and registered names pass through, functions are registered
+ * under their name so that saves can refer to them.
+ */
+function normalizeShapeType(shapeType) {
+  if (typeof shapeType === "function") {
+    const name = shapeType.shapeName || shapeType.name;
+    if (!name) {
+      throw new Error("Custom shape functions must be named or registered with JigsawPuzzle.registerShape()");
+    }
+    if (customShapes.has(name) && customShapes.get(name) !== shapeType) {
+      throw new Error(`Another shape is registered as "${name}", register this one under another name`);
+    }
+    registerShape(name, shapeType);
+    return name;
+  }
+  if (!isKnownShape(shapeType)) {
+    throw new Error(`Unknown shape type "${shapeType}"`);
+  }
+  return shapeType;
+}
+
+function resolveShape(shapeType) {
+  const twistf = typeof shapeType === "number"
+    ? BUILTIN_SHAPES[shapeType]
+    : customShapes.get(shapeType);
+  if (!twistf) throw new Error(`Unknown shape type "${shapeType}"`);
+  if (BUILTIN_SHAPES.includes(twistf)) return twistf;
+
+  return function (side, ca, cb, prng) {
+    const p0 = side.points[0];
+    const p1 = side.points[side.points.length - 1];
+    const points = twistf(side, ca, cb, prng);
+    if (Array.isArray(points)) side.points = points.map((p) => new Point(p.x, p.y));
+    if (side.points.length < 2 || (side.points.length - 1) % 3 !== 0) {
+      if (side.points.length !== 2) {
+        console.warn(`Shape "${shapeType}" returned an invalid point list, using a straight edge`);
+      }
+      side.points = [p0, p1];
+      side.type = "d";
+      return;
+    }
+    // both pieces share this side, so its ends must stay on the corners
+    side.points[0] = p0;
+    side.points[side.points.length - 1] = p1;
+    // returned or changed in place, more than the two ends is a curve
+    side.type = side.points.length > 2 ? "z" : "d";
+  };
+}
+
 // ============================================================================
 // Piece Classes
 // ============================================================================
 
 class Piece {
-  constructor(kx, ky) {
-    this.ts = new Side();
-    this.rs = new Side();
-    this.bs = new Side();
-    this.ls = new Side();
+  constructor(kx, ky, nbSides = 4) {
+    this.sides = [];
+    for (let k = 0; k < nbSides; ++k) this.sides.push(new Side());
+    // neighbors[k] is the piece on the other side of sides[k], null on the border
+    this.neighbors = [];
     this.kx = kx;
     this.ky = ky;
+    // bounding box of the piece (without tabs for grid pieces), in puzzle units
+    this.bx0 = kx;
+    this.bx1 = kx + 1;
+    this.by0 = ky;
+    this.by1 = ky + 1;
   }
 
+  // top, right, bottom and left sides of grid pieces
+  get ts() { return this.sides[0]; }
+  set ts(side) { this.sides[0] = side; }
+  get rs() { return this.sides[1]; }
+  set rs(side) { this.sides[1] = side; }
+  get bs() { return this.sides[2]; }
+  set bs(side) { this.sides[2] = side; }
+  get ls() { return this.sides[3]; }
+  set ls(side) { this.sides[3] = side; }
+
   scale(puzzleInstance) {
-    this.ts.scale(puzzleInstance);
-    this.rs.scale(puzzleInstance);
-    this.bs.scale(puzzleInstance);
-    this.ls.scale(puzzleInstance);
+    this.sides.forEach((side) => side.scale(puzzleInstance));
   }
 }
 
@@ -381,48 +499,39 @@ class Piece {
 class PolyPiece {
   constructor(initialPiece, puzzleInstance) {
     this.puzzle = puzzleInstance;
-    this.pckxmin = initialPiece.kx;
-    this.pckxmax = initialPiece.kx + 1;
-    this.pckymin = initialPiece.ky;
-    this.pckymax = initialPiece.ky + 1;
+    this.pckxmin = initialPiece.bx0;
+    this.pckxmax = initialPiece.bx1;
+    this.pckymin = initialPiece.by0;
+    this.pckymax = initialPiece.by1;
     this.pieces = [initialPiece];
     this.selected = false;
+    this.focused = false; // keyboard cursor
+    this.marked = false; // part of the multiple selection
+    this.hinted = false; // shown by hint()
     this.listLoops();
 
     this.canvas = document.createElement("CANVAS");
-    this.puzzle.container.appendChild(this.canvas);
-    this.canvas.classList.add("polypiece");
     this.ctx = this.canvas.getContext("2d");
-    this.rot = 0;
+    this.rot = 0; // clockwise, in quarter turns: 0 to 3, or any angle from 0 to 4 with free rotation
+    this.puzzle.renderer.attach(this);
+  }
+
+
+  // the first piece, after sorting, names the polypiece as long as it is made of the same pieces
+  get id() {
+    return this.pieces[0].kx + "," + this.pieces[0].ky;
   }
 
   merge(otherPoly) {
     const puzzle = this.puzzle;
     const orgpckxmin = this.pckxmin;
     const orgpckymin = this.pckymin;
-    const pbefore = getTransformed(
-      0,
-      0,
-      this.nx * puzzle.scalex,
-      this.ny * puzzle.scaley,
-      this.rot
-    );
+    const { c, s } = rotationCosSin(this.rot);
+    const pbefore = getTransformed(0, 0, this.nx * puzzle.scalex, this.ny * puzzle.scaley);
 
-    const kOther = puzzle.polyPieces.indexOf(otherPoly);
-    puzzle.polyPieces.splice(kOther, 1);
-    puzzle.container.removeChild(otherPoly.canvas);
+    puzzle.removePolyPiece(otherPoly);
 
-    for (let k = 0; k < otherPoly.pieces.length; ++k) {
-      this.pieces.push(otherPoly.pieces[k]);
-      if (otherPoly.pieces[k].kx < this.pckxmin)
-        this.pckxmin = otherPoly.pieces[k].kx;
-      if (otherPoly.pieces[k].kx + 1 > this.pckxmax)
-        this.pckxmax = otherPoly.pieces[k].kx + 1;
-      if (otherPoly.pieces[k].ky < this.pckymin)
-        this.pckymin = otherPoly.pieces[k].ky;
-      if (otherPoly.pieces[k].ky + 1 > this.pckymax)
-        this.pckymax = otherPoly.pieces[k].ky + 1;
-    }
+    otherPoly.pieces.forEach((piece) => this.addPiece(piece));
 
     this.pieces.sort(function (p1, p2) {
       if (p1.ky < p2.ky) return -1;
@@ -439,194 +548,149 @@ class PolyPiece {
       puzzle.scalex * (orgpckxmin - this.pckxmin),
       puzzle.scaley * (orgpckymin - this.pckymin),
       puzzle.scalex * (this.pckxmax - this.pckxmin + 1),
-      puzzle.scaley * (this.pckymax - this.pckymin + 1),
-      this.rot
+      puzzle.scaley * (this.pckymax - this.pckymin + 1)
     );
 
     this.moveTo(this.x - pafter.x + pbefore.x, this.y - pafter.y + pbefore.y);
     puzzle.evaluateZIndex();
 
-    function getTransformed(orgx, orgy, width, height, rot) {
+    function getTransformed(orgx, orgy, width, height) {
       const dx = orgx - width / 2;
       const dy = orgy - height / 2;
       return {
-        x: width / 2 + [1, 0, -1, 0][rot] * dx + [0, -1, 0, 1][rot] * dy,
-        y: height / 2 + [0, 1, 0, -1][rot] * dx + [1, 0, -1, 0][rot] * dy
+        x: width / 2 + c * dx - s * dy,
+        y: height / 2 + s * dx + c * dy
       };
     }
   }
 
+  addPiece(piece) {
+    this.pieces.push(piece);
+    this.pckxmin = mmin(this.pckxmin, piece.bx0);
+    this.pckxmax = mmax(this.pckxmax, piece.bx1);
+    this.pckymin = mmin(this.pckymin, piece.by0);
+    this.pckymax = mmax(this.pckymax, piece.by1);
+  }
+
   ifNear(otherPoly) {
     const puzzle = this.puzzle;
-    if (this.rot != otherPoly.rot) return false;
+    // the joined polypiece takes the angle of the larger one
+    if (angleDistance(this.rot, otherPoly.rot) > puzzle.rotationTolerance / 90) return false;
 
-    let p1, p2;
     let org = this.getOrgP();
     let orgOther = otherPoly.getOrgP();
 
     if (mhypot(org.x - orgOther.x, org.y - orgOther.y) >= puzzle.dConnect)
       return false;
 
-    for (let k = this.pieces.length - 1; k >= 0; --k) {
-      p1 = this.pieces[k];
-      for (let ko = otherPoly.pieces.length - 1; ko >= 0; --ko) {
-        p2 = otherPoly.pieces[ko];
-        if (p1.kx == p2.kx && mabs(p1.ky - p2.ky) == 1) return true;
-        if (p1.ky == p2.ky && mabs(p1.kx - p2.kx) == 1) return true;
-      }
-    }
+    const others = new Set(otherPoly.pieces);
+    return this.pieces.some((p) => p.neighbors.some((nb) => others.has(nb)));
+  }
 
-    return false;
+  // polypieces whose origin is close enough to this one's to merge with it
+  nearCandidates() {
+    const puzzle = this.puzzle;
+    const org = this.getOrgP();
+    const d = puzzle.dConnect;
+    const found = puzzle.orgIndex.query({
+      x: org.x - d,
+      y: org.y - d,
+      right: org.x + d,
+      bottom: org.y + d
+    });
+    found.delete(this);
+    return [...found].sort((pp1, pp2) => pp2.zIndex - pp1.zIndex);
   }
 
-  listLoops() {
-    const that = this;
-    function edgeIsCommon(kx, ky, edge) {
-      let k;
-      switch (edge) {
-        case 0: ky--; break;
-        case 1: kx++; break;
-        case 2: ky++; break;
-        case 3: kx--; break;
-      }
-      for (k = 0; k < that.pieces.length; k++) {
-        if (kx == that.pieces[k].kx && ky == that.pieces[k].ky) return true;
-      }
-      return false;
-    }
+  // close enough to its place in the board frame to snap to it
+  ifNearBoard() {
+    const puzzle = this.puzzle;
+    if (!puzzle.showBoard) return false;
+    if (angleDistance(this.rot, 0) > puzzle.rotationTolerance / 90) return false;
+    const org = this.getOrgP();
+    const boardOrg = puzzle.getBoardOrgP();
+    return mhypot(org.x - boardOrg.x, org.y - boardOrg.y) < puzzle.dConnect;
+  }
 
-    function edgeIsInTbEdges(kx, ky, edge) {
-      let k;
-      for (k = 0; k < tbEdges.length; k++) {
-        if (
-          kx == tbEdges[k].kx &&
-          ky == tbEdges[k].ky &&
-          edge == tbEdges[k].edge
-        )
-          return k;
-      }
-      return false;
-    }
+  isOnBoard() {
+    const puzzle = this.puzzle;
+    if (!puzzle.showBoard || this.rot !== 0) return false;
+    const org = this.getOrgP();
+    const boardOrg = puzzle.getBoardOrgP();
+    // saved games and other players get positions rounded to the pixel, up to 0.71 px off
+    return mhypot(org.x - boardOrg.x, org.y - boardOrg.y) < 1;
+  }
 
-    let tbLoops = [];
-    let tbEdges = [];
-    let k;
-    let kEdge;
-    let lp;
-    let currEdge;
-    let tries;
-    let edgeNumber;
-    let potNext;
-
-    let tbTries = [
-      [
-        { dkx: 0, dky: 0, edge: 1 },
-        { dkx: 1, dky: 0, edge: 0 },
-        { dkx: 1, dky: -1, edge: 3 }
-      ],
-      [
-        { dkx: 0, dky: 0, edge: 2 },
-        { dkx: 0, dky: 1, edge: 1 },
-        { dkx: 1, dky: 1, edge: 0 }
-      ],
-      [
-        { dkx: 0, dky: 0, edge: 3 },
-        { dkx: -1, dky: 0, edge: 2 },
-        { dkx: -1, dky: 1, edge: 1 }
-      ],
-      [
-        { dkx: 0, dky: 0, edge: 0 },
-        { dkx: 0, dky: -1, edge: 3 },
-        { dkx: -1, dky: -1, edge: 2 }
-      ]
-    ];
+  listLoops() {
+    // the outline is made of the sides not shared by two pieces of this polypiece,
+    // chained end to start. Sides of adjacent pieces meet at identical coordinates
+    const members = new Set(this.pieces);
+    const pointKey = (p) => p.x + "," + p.y;
+    const sidesByStart = new Map();
+
+    this.pieces.forEach((piece) => {
+      piece.sides.forEach((side, kSide) => {
+        if (members.has(piece.neighbors[kSide])) return;
+        const key = pointKey(side.points[0]);
+        if (!sidesByStart.has(key)) sidesByStart.set(key, []);
+        sidesByStart.get(key).push(side);
+      });
+    });
 
-    for (k = 0; k < this.pieces.length; k++) {
-      for (kEdge = 0; kEdge < 4; kEdge++) {
-        if (!edgeIsCommon(this.pieces[k].kx, this.pieces[k].ky, kEdge))
-          tbEdges.push({
-            kx: this.pieces[k].kx,
-            ky: this.pieces[k].ky,
-            edge: kEdge,
-            kp: k
-          });
+    this.tbLoops = [];
+    sidesByStart.forEach((sides, startKey) => {
+      while (sides.length) {
+        const loop = [];
+        let side = sides.pop();
+        do {
+          loop.push(side);
+          const endKey = pointKey(side.points[side.points.length - 1]);
+          if (endKey === startKey) break;
+          const next = sidesByStart.get(endKey);
+          if (!next || next.length === 0) break;
+          side = next.pop();
+        } while (1);
+        this.tbLoops.push(loop);
       }
-    }
-
-    while (tbEdges.length > 0) {
-      lp = [];
-      currEdge = tbEdges[0];
-      lp.push(currEdge);
-      tbEdges.splice(0, 1);
-      do {
-        for (tries = 0; tries < 3; tries++) {
-          potNext = tbTries[currEdge.edge][tries];
-          edgeNumber = edgeIsInTbEdges(
-            currEdge.kx + potNext.dkx,
-            currEdge.ky + potNext.dky,
-            potNext.edge
-          );
-          if (edgeNumber === false) continue;
-          currEdge = tbEdges[edgeNumber];
-          lp.push(currEdge);
-          tbEdges.splice(edgeNumber, 1);
-          break;
-        }
-        if (edgeNumber === false) break;
-      } while (1);
-      tbLoops.push(lp);
-    }
-
-    this.tbLoops = tbLoops.map((loop) =>
-      loop.map((edge) => {
-        let cell = this.pieces[edge.kp];
-        if (edge.edge == 0) return cell.ts;
-        if (edge.edge == 1) return cell.rs;
-        if (edge.edge == 2) return cell.bs;
-        return cell.ls;
-      })
-    );
+    });
   }
 
   getRect() {
-    const puzzle = this.puzzle;
-    let rect0 = puzzle.container.getBoundingClientRect();
-    let rect = this.canvas.getBoundingClientRect();
+    return this.rectAt(this.x, this.y);
+  }
+
+  /**
+   * Bounding rectangle on the table of the polypiece placed at (x, y),
+   * rotated around its centre
+   */
+  rectAt(x, y) {
+    const width = this.width;
+    const height = this.height;
+    const { c, s } = rotationCosSin(this.rot);
+    const rwidth = mabs(c) * width + mabs(s) * height;
+    const rheight = mabs(s) * width + mabs(c) * height;
+    const rx = x + (width - rwidth) / 2;
+    const ry = y + (height - rheight) / 2;
     return {
-      x: rect.x - rect0.x,
-      y: rect.y - rect0.y,
-      right: rect.right - rect0.x,
-      bottom: rect.bottom - rect0.y,
-      width: rect.width,
-      height: rect.height
+      x: rx,
+      y: ry,
+      right: rx + rwidth,
+      bottom: ry + rheight,
+      width: rwidth,
+      height: rheight
     };
   }
 
+  // position on the table of the top left corner of the whole picture, as placed by this polypiece
   getOrgP() {
     const puzzle = this.puzzle;
-    const rect = this.getRect();
-    switch (this.rot) {
-      case 0:
-        return {
-          x: rect.x - puzzle.scalex * this.pckxmin,
-          y: rect.y - puzzle.scaley * this.pckymin
-        };
-      case 1:
-        return {
-          x: rect.right + puzzle.scaley * this.pckymin,
-          y: rect.y - puzzle.scalex * this.pckxmin
-        };
-      case 2:
-        return {
-          x: rect.right + puzzle.scalex * this.pckxmin,
-          y: rect.bottom + puzzle.scaley * this.pckymin
-        };
-      case 3:
-        return {
-          x: rect.x - puzzle.scaley * this.pckymin,
-          y: rect.bottom + puzzle.scalex * this.pckxmin
-        };
-    }
+    const { c, s } = rotationCosSin(this.rot);
+    const dx = -puzzle.scalex * this.pckxmin - this.width / 2;
+    const dy = -puzzle.scaley * this.pckymin - this.height / 2;
+    return {
+      x: this.x + this.width / 2 + c * dx - s * dy,
+      y: this.y + this.height / 2 + s * dx + c * dy
+    };
   }
 
   drawPath(ctx, shiftx, shifty) {
@@ -644,8 +708,13 @@ class PolyPiece {
     const puzzle = this.puzzle;
     this.nx = this.pckxmax - this.pckxmin + 1;
     this.ny = this.pckymax - this.pckymin + 1;
-    this.canvas.width = this.nx * puzzle.scalex;
-    this.canvas.height = this.ny * puzzle.scaley;
+    // size on the table, the bitmap has pixelScale pixels per table pixel
+    this.width = this.nx * puzzle.scalex;
+    this.height = this.ny * puzzle.scaley;
+    const pixelScale = puzzle.pixelScale;
+    this.canvas.width = mceil(this.width * pixelScale);
+    this.canvas.height = mceil(this.height * pixelScale);
+    this.ctx.setTransform(pixelScale, 0, 0, pixelScale, 0, 0);
 
     this.offsx = (this.pckxmin - 0.5) * puzzle.scalex;
     this.offsy = (this.pckymin - 0.5) * puzzle.scaley;
@@ -653,17 +722,26 @@ class PolyPiece {
     this.path = new Path2D();
     this.drawPath(this.path, -this.offsx, -this.offsy);
 
+    // shadows ignore the transform, they are in bitmap pixels
+    const theme = puzzle.theme;
+    const glow = this.selected || this.focused || this.hinted || this.marked;
     this.ctx.fillStyle = "none";
     this.ctx.shadowColor = this.selected
       ? special
-        ? "lime"
-        : "gold"
-      : "rgba(0, 0, 0, 0.5)";
-    this.ctx.shadowBlur = this.selected ? mmin(8, puzzle.scalex / 10) : 4;
-    this.ctx.shadowOffsetX = this.selected ? 0 : -4;
-    this.ctx.shadowOffsetY = this.selected ? 0 : 4;
+        ? theme.mergeColor
+        : theme.selectionColor
+      : this.hinted
+        ? theme.hintColor
+        : this.focused
+          ? theme.focusColor
+          : this.marked
+            ? theme.markColor
+            : theme.shadowColor;
+    this.ctx.shadowBlur = (glow ? mmin(8, puzzle.scalex / 10) : theme.shadowBlur) * pixelScale;
+    this.ctx.shadowOffsetX = (glow ? 0 : theme.shadowOffsetX) * pixelScale;
+    this.ctx.shadowOffsetY = (glow ? 0 : theme.shadowOffsetY) * pixelScale;
     this.ctx.fill(this.path);
-    if (this.selected) {
+    if (glow) {
       for (let i = 0; i < 6; i++) this.ctx.fill(this.path);
     }
     this.ctx.shadowColor = "rgba(0, 0, 0, 0)";
@@ -674,64 +752,68 @@ class PolyPiece {
       const path = new Path2D();
       const shiftx = -this.offsx;
       const shifty = -this.offsy;
-      pp.ts.drawPath(path, shiftx, shifty, false);
-      pp.rs.drawPath(path, shiftx, shifty, true);
-      pp.bs.drawPath(path, shiftx, shifty, true);
-      pp.ls.drawPath(path, shiftx, shifty, true);
+      pp.sides.forEach((side, kSide) =>
+        side.drawPath(path, shiftx, shifty, kSide > 0)
+      );
       path.closePath();
 
       this.ctx.clip(path);
-      const srcx = pp.kx ? (pp.kx - 0.5) * puzzle.scalex : 0;
-      const srcy = pp.ky ? (pp.ky - 0.5) * puzzle.scaley : 0;
-
-      const destx =
-        (pp.kx ? 0 : puzzle.scalex / 2) +
-        (pp.kx - this.pckxmin) * puzzle.scalex;
-      const desty =
-        (pp.ky ? 0 : puzzle.scaley / 2) +
-        (pp.ky - this.pckymin) * puzzle.scaley;
-
-      let w = 2 * puzzle.scalex;
-      let h = 2 * puzzle.scaley;
-      if (srcx + w > puzzle.gameCanvas.width)
-        w = puzzle.gameCanvas.width - srcx;
-      if (srcy + h > puzzle.gameCanvas.height)
-        h = puzzle.gameCanvas.height - srcy;
+      // half a piece around the piece box leaves room for the tabs
+      const srcx = mmax(0, (pp.bx0 - 0.5) * puzzle.scalex);
+      const srcy = mmax(0, (pp.by0 - 0.5) * puzzle.scaley);
+
+      const destx = srcx - this.offsx;
+      const desty = srcy - this.offsy;
 
+      const w = mmin((pp.bx1 + 0.5) * puzzle.scalex, puzzle.gameWidth) - srcx;
+      const h = mmin((pp.by1 + 0.5) * puzzle.scaley, puzzle.gameHeight) - srcy;
+
+      // gameCanvas holds the image at srcScale pixels per table pixel
+      const srcScale = puzzle.srcScale;
       this.ctx.drawImage(
         puzzle.gameCanvas,
-        srcx,
-        srcy,
-        w,
-        h,
+        srcx * srcScale,
+        srcy * srcScale,
+        w * srcScale,
+        h * srcScale,
         destx,
         desty,
         w,
         h
       );
-      this.ctx.lineWidth = puzzle.embossThickness * 1.5;
+      const embossThickness = theme.embossThickness ?? puzzle.embossThickness;
+      this.ctx.lineWidth = embossThickness * 1.5;
 
-      this.ctx.translate(
-        puzzle.embossThickness / 2,
-        -puzzle.embossThickness / 2
-      );
-      this.ctx.strokeStyle = "rgba(0, 0, 0, 0.35)";
+      this.ctx.translate(embossThickness / 2, -embossThickness / 2);
+      this.ctx.strokeStyle = theme.embossDark;
       this.ctx.stroke(path);
 
-      this.ctx.translate(-puzzle.embossThickness, puzzle.embossThickness);
-      this.ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+      this.ctx.translate(-embossThickness, embossThickness);
+      this.ctx.strokeStyle = theme.embossLight;
       this.ctx.stroke(path);
 
       this.ctx.restore();
-      this.canvas.style.transform = `rotate(${90 * this.rot}deg)`;
     });
+    if (theme.outlineColor) {
+      // around the polypiece only, merged pieces show no outline between them
+      this.ctx.lineWidth = theme.outlineWidth;
+      this.ctx.strokeStyle = theme.outlineColor;
+      this.ctx.stroke(this.path);
+    }
+    puzzle.renderer.place(this);
+    puzzle.indexPolyPiece(this);
   }
 
   moveTo(x, y) {
     this.x = x;
     this.y = y;
-    this.canvas.style.left = x + "px";
-    this.canvas.style.top = y + "px";
+    this.puzzle.renderer.place(this);
+    this.puzzle.indexPolyPiece(this);
+  }
+
+  setZIndex(zIndex) {
+    this.zIndex = zIndex;
+    this.puzzle.renderer.setZIndex(this, zIndex);
   }
 
   moveToInitialPlace() {
@@ -743,74 +825,422 @@ class PolyPiece {
   }
 
   rotate(angle) {
-    this.rot = angle;
+    this.rot = ((angle % 4) + 4) % 4;
+  }
+
+  // snaps to the nearest quarter turn if closer than the rotation tolerance
+  snapRotation() {
+    const quarter = mround(this.rot) % 4;
+    if (this.rot !== quarter && angleDistance(this.rot, quarter) <= this.puzzle.rotationTolerance / 90) {
+      this.rotate(quarter);
+      this.moveTo(this.x, this.y);
+    }
   }
 
   isPointInPath(p) {
-    let npath = new Path2D();
-    this.drawPath(npath, 0, 0);
-    let rect = this.getRect();
+    // back into the unrotated polypiece, around its centre
+    const { c, s } = rotationCosSin(this.rot);
+    const dx = p.x - this.x - this.width / 2;
+    const dy = p.y - this.y - this.height / 2;
+    const mposx = this.width / 2 + c * dx + s * dy;
+    const mposy = this.height / 2 - s * dx + c * dy;
+
+    // the path is in table pixels, test it without the pixelScale transform
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    const inPath = this.ctx.isPointInPath(this.path, mposx, mposy);
+    this.ctx.restore();
+    return inPath;
+  }
 
-    let pRefx = [rect.x, rect.right, rect.right, rect.x][this.rot];
-    let pRefy = [rect.y, rect.y, rect.bottom, rect.bottom][this.rot];
+  coerceToContainer() {
+    // keep at least one piece size of the polypiece visible on each axis
+    const puzzle = this.puzzle;
+    const zoom = puzzle.camera.zoom;
+    const { c, s } = rotationCosSin(this.rot);
+    const dimx = (mabs(c) * puzzle.scalex + mabs(s) * puzzle.scaley) * zoom;
+    const dimy = (mabs(s) * puzzle.scalex + mabs(c) * puzzle.scaley) * zoom;
+    const rect = puzzle.toScreenRect(this.getRect());
+    let dx = 0;
+    let dy = 0;
+    if (rect.right < dimx) dx = dimx - rect.right;
+    else if (rect.x > puzzle.contWidth - dimx) dx = puzzle.contWidth - dimx - rect.x;
+    if (rect.bottom < dimy) dy = dimy - rect.bottom;
+    else if (rect.y > puzzle.contHeight - dimy) dy = puzzle.contHeight - dimy - rect.y;
+    if (dx || dy) this.moveTo(this.x + dx / zoom, this.y + dy / zoom);
+  }
+}
 
-    let mposx =
-      [1, 0, -1, 0][this.rot] * (p.x - pRefx) +
-      [0, 1, 0, -1][this.rot] * (p.y - pRefy);
-    let mposy =
-      [0, -1, 0, 1][this.rot] * (p.x - pRefx) +
-      [1, 0, -1, 0][this.rot] * (p.y - pRefy);
+// ============================================================================
+// Spatial Index
+// ============================================================================
 
-    return this.ctx.isPointInPath(this.path, mposx, mposy);
+/**
+ * Uniform grid over the table, mapping rectangles to the items covering
+ * them, so that hit-testing and merge detection only look at nearby
+ * polypieces.
+ */
+class SpatialGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.itemCells = new Map();
   }
 
-  coerceToContainer() {
-    const puzzle = this.puzzle;
-    let dimx = [puzzle.scalex, puzzle.scaley, puzzle.scalex, puzzle.scaley][
-      this.rot
-    ];
-    let dimy = [puzzle.scaley, puzzle.scalex, puzzle.scaley, puzzle.scalex][
-      this.rot
-    ];
-    const rect = this.getRect();
-    if (rect.y > -dimy && rect.bottom < puzzle.contHeight + dimy) {
-      if (rect.right < dimx) {
-        this.moveTo(this.x + dimx - rect.right, this.y);
-        return;
-      }
-      if (rect.x > puzzle.contWidth - dimx) {
-        this.moveTo(this.x + puzzle.contWidth - dimx - rect.x, this.y);
-        return;
-      }
-      return;
+  cellKeys(rect) {
+    const keys = [];
+    const kx0 = mfloor(rect.x / this.cellSize);
+    const kx1 = mfloor(rect.right / this.cellSize);
+    const ky0 = mfloor(rect.y / this.cellSize);
+    const ky1 = mfloor(rect.bottom / this.cellSize);
+    for (let ky = ky0; ky <= ky1; ++ky) {
+      for (let kx = kx0; kx <= kx1; ++kx) keys.push(kx + "," + ky);
     }
-    if (rect.x > -dimx && rect.right < puzzle.contHeight + dimy) {
-      if (rect.bottom < dimy) {
-        this.moveTo(this.x, this.y + dimy - rect.bottom);
-        return;
-      }
-      if (rect.y > puzzle.contHeight - dimy) {
-        this.moveTo(this.x, this.y + puzzle.contHeight - dimy - rect.y);
-        return;
-      }
-      return;
+    return keys;
+  }
+
+  insert(item, rect) {
+    const keys = this.cellKeys(rect);
+    const previous = this.itemCells.get(item);
+    if (previous && previous.length === keys.length && previous.every((key, k) => key === keys[k])) return;
+    this.remove(item);
+    keys.forEach((key) => {
+      if (!this.cells.has(key)) this.cells.set(key, new Set());
+      this.cells.get(key).add(item);
+    });
+    this.itemCells.set(item, keys);
+  }
+
+  remove(item) {
+    const keys = this.itemCells.get(item);
+    if (!keys) return;
+    keys.forEach((key) => {
+      const cell = this.cells.get(key);
+      cell.delete(item);
+      if (cell.size === 0) this.cells.delete(key);
+    });
+    this.itemCells.delete(item);
+  }
+
+  // items whose cells overlap rect; callers still check the exact geometry
+  query(rect) {
+    const found = new Set();
+    this.cellKeys(rect).forEach((key) => {
+      const cell = this.cells.get(key);
+      if (cell) cell.forEach((item) => found.add(item));
+    });
+    return found;
+  }
+}
+
+// ============================================================================
+// Theme
+// ============================================================================
+
+// lengths are in table pixels (CSS pixels at zoom 1)
+const DEFAULT_THEME = {
+  selectionColor: "gold", // glow of the piece being dragged
+  mergeColor: "lime", // flash after a merge
+  focusColor: "deepskyblue", // piece chosen with the keyboard
+  markColor: "violet", // marked pieces, moving together
+  hintColor: "orange", // pieces and board area shown by hint()
+  boardColor: "rgba(255, 255, 255, 0.6)", // frame of the board
+  boardWidth: 2, // table pixels
+  shadowColor: "rgba(0, 0, 0, 0.5)",
+  shadowOffsetX: -4,
+  shadowOffsetY: 4,
+  shadowBlur: 4,
+  embossDark: "rgba(0, 0, 0, 0.35)",
+  embossLight: "rgba(255, 255, 255, 0.35)",
+  embossThickness: null, // null: from 2 to 5 depending on the piece size
+  outlineColor: null, // null: no outline
+  outlineWidth: 1
+};
+
+function normalizeTheme(theme) {
+  if (theme === null || typeof theme !== "object") {
+    throw new Error("theme must be an object");
+  }
+  const unknown = Object.keys(theme).filter((key) => !(key in DEFAULT_THEME));
+  if (unknown.length) {
+    throw new Error(`Unknown theme properties: ${unknown.join(", ")}`);
+  }
+  return { ...DEFAULT_THEME, ...theme };
+}
+
+// ============================================================================
+// Renderers
+// ============================================================================
+
+const RENDERERS = ["dom", "canvas"];
+const ANIMATION_DURATION = 1000; // ms, for pieces flagged as moving on the canvas renderer
+
+function normalizeRenderer(renderer) {
+  if (!RENDERERS.includes(renderer)) {
+    throw new Error(`Unknown renderer "${renderer}"`);
+  }
+  return renderer;
+}
+
+/**
+ * Default renderer: every polypiece is its own <canvas> element, placed with
+ * CSS in a layer that the camera moves and scales as a whole.
+ */
+class DomRenderer {
+  constructor(puzzle) {
+    this.puzzle = puzzle;
+    this.world = document.createElement("DIV");
+    this.world.classList.add("puzzleWorld");
+    this.world.style.position = "absolute";
+    this.world.style.left = "0px";
+    this.world.style.top = "0px";
+    this.world.style.transformOrigin = "0 0";
+    puzzle.container.appendChild(this.world);
+    this.setCamera(puzzle.camera);
+  }
+
+  attach(pp) {
+    pp.canvas.classList.add("polypiece");
+    this.world.appendChild(pp.canvas);
+  }
+
+  detach(pp) {
+    if (pp.canvas.parentNode) pp.canvas.parentNode.removeChild(pp.canvas);
+  }
+
+  place(pp) {
+    if (pp.x !== undefined) {
+      pp.canvas.style.left = pp.x + "px";
+      pp.canvas.style.top = pp.y + "px";
     }
-    if (rect.y < -dimy) {
-      this.moveTo(this.x, this.y - rect.y - dimy);
-      this.getRect();
+    if (pp.width !== undefined) {
+      pp.canvas.style.width = pp.width + "px";
+      pp.canvas.style.height = pp.height + "px";
     }
-    if (rect.bottom > puzzle.contHeight + dimy) {
-      this.moveTo(this.x, this.y + puzzle.contHeight + dimy - rect.bottom);
-      this.getRect();
+    pp.canvas.style.transform = `rotate(${90 * pp.rot}deg)`;
+  }
+
+  setZIndex(pp, zIndex) {
+    pp.canvas.style.zIndex = zIndex;
+  }
+
+  // the transition itself comes from the .polypiece.moving CSS rule
+  setAnimated(pp, animated) {
+    if (animated) pp.canvas.classList.add("moving");
+    else pp.canvas.classList.remove("moving");
+  }
+
+  setCamera(camera) {
+    this.world.style.transform = `translate(${camera.x}px, ${camera.y}px) scale(${camera.zoom})`;
+  }
+
+  // board: { x, y, width, height, ghostOpacity } on the table, or null for no board
+  setBoard(board) {
+    if (this.board) this.board.remove();
+    this.board = null;
+    if (!board) return;
+    const theme = this.puzzle.theme;
+    this.board = document.createElement("DIV");
+    this.board.classList.add("puzzleBoard");
+    Object.assign(this.board.style, {
+      position: "absolute",
+      left: board.x + "px",
+      top: board.y + "px",
+      width: board.width + "px",
+      height: board.height + "px",
+      outline: `${theme.boardWidth}px solid ${theme.boardColor}`,
+      zIndex: 0
+    });
+    if (board.ghostOpacity) {
+      const ghost = document.createElement("IMG");
+      ghost.src = this.puzzle.srcImage.src;
+      Object.assign(ghost.style, {
+        display: "block",
+        width: "100%",
+        height: "100%",
+        opacity: board.ghostOpacity
+      });
+      this.board.appendChild(ghost);
     }
-    if (rect.right < dimx) {
-      this.moveTo(this.x + dimx - rect.right, this.y);
+    this.world.insertBefore(this.board, this.world.firstChild);
+  }
+
+  resize() {}
+
+  render(tStamp) {}
+}
+
+/**
+ * Draws all polypieces on a single <canvas> covering the container. Piece
+ * bitmaps stay in their (detached) polypiece canvas and only the rectangles
+ * that changed since the last frame are redrawn. Dirty rectangles are kept
+ * in table coordinates; moving the camera redraws everything.
+ */
+class CanvasRenderer {
+  constructor(puzzle) {
+    this.puzzle = puzzle;
+    this.surface = document.createElement("CANVAS");
+    this.surface.classList.add("puzzleSurface");
+    this.surface.style.position = "absolute";
+    this.surface.style.left = "0px";
+    this.surface.style.top = "0px";
+    this.ctx = this.surface.getContext("2d");
+    this.dirty = [];
+    this.animations = new Map();
+    puzzle.container.appendChild(this.surface);
+    this.resize();
+  }
+
+  attach(pp) {}
+
+  detach(pp) {
+    this.animations.delete(pp);
+    if (pp.drawnRect) this.markDirty(pp.drawnRect);
+    pp.drawnRect = null;
+  }
+
+  place(pp) {
+    if (pp.x === undefined || pp.width === undefined) return;
+    const anim = this.animations.get(pp);
+    if (anim) {
+      // restart the animation towards the new position from where it is now
+      anim.fromx = anim.x;
+      anim.fromy = anim.y;
+      anim.t0 = null;
       return;
     }
-    if (rect.x > puzzle.contWidth - dimx) {
-      this.moveTo(this.x + puzzle.contWidth - dimx - rect.x, this.y);
-      return;
+    this.redraw(pp, pp.x, pp.y);
+  }
+
+  // pp.zIndex holds it, render() draws in its order
+  setZIndex(pp, zIndex) {
+    if (pp.drawnRect) this.markDirty(pp.drawnRect);
+  }
+
+  setAnimated(pp, animated) {
+    if (animated) {
+      if (!this.animations.has(pp) && pp.x !== undefined) {
+        this.animations.set(pp, { fromx: pp.x, fromy: pp.y, x: pp.x, y: pp.y, t0: null });
+      }
+    } else if (this.animations.has(pp)) {
+      this.animations.delete(pp);
+      this.redraw(pp, pp.x, pp.y);
+    }
+  }
+
+  setCamera(camera) {
+    this.fullRedraw = true;
+  }
+
+  setBoard(board) {
+    this.board = board;
+    this.fullRedraw = true;
+  }
+
+  resize() {
+    // backing store in device pixels
+    this.ratio = this.puzzle.getPixelRatio();
+    this.surface.width = mround(this.puzzle.contWidth * this.ratio);
+    this.surface.height = mround(this.puzzle.contHeight * this.ratio);
+    this.surface.style.width = this.puzzle.contWidth + "px";
+    this.surface.style.height = this.puzzle.contHeight + "px";
+    this.fullRedraw = true;
+  }
+
+  // move the drawn image of pp to (x, y), which may lag behind pp.x, pp.y while animated
+  redraw(pp, x, y) {
+    if (pp.drawnRect) this.markDirty(pp.drawnRect);
+    pp.drawnRect = pp.rectAt(x, y);
+    pp.drawnx = x;
+    pp.drawny = y;
+    this.markDirty(pp.drawnRect);
+  }
+
+  markDirty(rect) {
+    this.dirty.push(rect);
+  }
+
+  render(tStamp) {
+    this.animations.forEach((anim, pp) => {
+      if (anim.t0 !== null && anim.x === pp.x && anim.y === pp.y) return;
+      if (anim.t0 === null) anim.t0 = tStamp;
+      const t = mmin(1, (tStamp - anim.t0) / ANIMATION_DURATION);
+      const ease = 1 - (1 - t) * (1 - t);
+      anim.x = anim.fromx + (pp.x - anim.fromx) * ease;
+      anim.y = anim.fromy + (pp.y - anim.fromy) * ease;
+      this.redraw(pp, anim.x, anim.y);
+    });
+    if (this.dirty.length === 0 && !this.fullRedraw) return;
+
+    // surface pixels = table coordinates * scale + (dx, dy)
+    const camera = this.puzzle.camera;
+    const scale = camera.zoom * this.ratio;
+    const dx = camera.x * this.ratio;
+    const dy = camera.y * this.ratio;
+    let rects = this.dirty.map((r) => ({
+      x: mfloor(r.x * scale + dx) - 2,
+      y: mfloor(r.y * scale + dy) - 2,
+      right: mceil(r.right * scale + dx) + 2,
+      bottom: mceil(r.bottom * scale + dy) + 2
+    }));
+    this.dirty = [];
+    if (this.fullRedraw) {
+      rects = [{ x: 0, y: 0, right: this.surface.width, bottom: this.surface.height }];
+      this.fullRedraw = false;
+    } else if (rects.length > 16) {
+      // too many small rectangles: one redraw of their union is cheaper
+      rects = [rects.reduce((u, r) => ({
+        x: mmin(u.x, r.x),
+        y: mmin(u.y, r.y),
+        right: mmax(u.right, r.right),
+        bottom: mmax(u.bottom, r.bottom)
+      }))];
+    }
+
+    const ctx = this.ctx;
+    // lowest first, like the stacking of the DOM renderer; the sort keeps the order of equals
+    const stack = [...this.puzzle.polyPieces].sort((pp1, pp2) => pp1.zIndex - pp2.zIndex);
+    rects.forEach((r) => {
+      // same rectangle on the table, to pick the pieces to draw
+      const wr = {
+        x: (r.x - dx) / scale,
+        y: (r.y - dy) / scale,
+        right: (r.right - dx) / scale,
+        bottom: (r.bottom - dy) / scale
+      };
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(r.x, r.y, r.right - r.x, r.bottom - r.y);
+      ctx.clip();
+      ctx.clearRect(r.x, r.y, r.right - r.x, r.bottom - r.y);
+      ctx.setTransform(scale, 0, 0, scale, dx, dy);
+      if (this.board) this.drawBoard(ctx);
+      stack.forEach((pp) => {
+        const pr = pp.drawnRect;
+        if (!pr || pr.x > wr.right || pr.right < wr.x || pr.y > wr.bottom || pr.bottom < wr.y) return;
+        ctx.save();
+        ctx.translate(pp.drawnx + pp.width / 2, pp.drawny + pp.height / 2);
+        ctx.rotate((pp.rot * Math.PI) / 2);
+        ctx.drawImage(pp.canvas, -pp.width / 2, -pp.height / 2, pp.width, pp.height);
+        ctx.restore();
+      });
+      ctx.restore();
+    });
+  }
+
+  // ghost image and frame, under the pieces
+  drawBoard(ctx) {
+    const board = this.board;
+    const theme = this.puzzle.theme;
+    if (board.ghostOpacity) {
+      ctx.globalAlpha = board.ghostOpacity;
+      ctx.drawImage(this.puzzle.gameCanvas, board.x, board.y, board.width, board.height);
+      ctx.globalAlpha = 1;
     }
+    const w = theme.boardWidth;
+    ctx.strokeStyle = theme.boardColor;
+    ctx.lineWidth = w;
+    ctx.strokeRect(board.x - w / 2, board.y - w / 2, board.width + w, board.height + w);
   }
 }
 
@@ -835,90 +1265,580 @@ function fitImage(img, width, height) {
   img.style.transform = "translate(-50%,-50%)";
 }
 
-// ============================================================================
-// Internal Puzzle Class (refactored to be UI-independent)
-// ============================================================================
+/**
+ * Collects canvas path calls (as made by Side.drawPath) into SVG path data,
+ * scaling coordinates by coefx and coefy.
+ */
+class SvgPath {
+  constructor(coefx, coefy) {
+    this.coefx = coefx;
+    this.coefy = coefy;
+    this.d = [];
+  }
 
-class InternalPuzzle {
-  constructor(container) {
-    this.container = typeof container === "string" 
-      ? document.getElementById(container)
-      : container;
+  coords(...values) {
+    return values
+      .map((v, k) => mround(v * (k % 2 ? this.coefy : this.coefx) * 1000) / 1000)
+      .join(" ");
+  }
 
-    this.gameCanvas = document.createElement("CANVAS");
-    this.container.appendChild(this.gameCanvas);
+  moveTo(x, y) {
+    this.d.push("M" + this.coords(x, y));
+  }
 
-    this.srcImage = new Image();
-    this.imageLoaded = false;
-    
-    // State
-    this.nbPieces = 20;
-    this.rotationAllowed = false;
-    this.typeOfShape = 0;
+  lineTo(x, y) {
+    this.d.push("L" + this.coords(x, y));
   }
 
-  getContainerSize() {
-    let styl = window.getComputedStyle(this.container);
-    this.contWidth = parseFloat(styl.width);
-    this.contHeight = parseFloat(styl.height);
+  bezierCurveTo(x1, y1, x2, y2, x, y) {
+    this.d.push("C" + this.coords(x1, y1, x2, y2, x, y));
   }
 
-  create(baseData) {
-    this.prng = mMash(baseData ? baseData[3] : null);
-    this.container.innerHTML = "";
-    this.getContainerSize();
-    
-    if (baseData) {
-      this.nx = baseData[0];
-      this.ny = baseData[1];
-      // baseData[2] is total game width (scalex * nx), not scalex itself
-      // scalex will be calculated in doScale()
-      this.rotationAllowed = !!baseData[4];
-      this.typeOfShape = baseData[5];
-    } else {
-      this.computenxAndny();
-    }
+  closePath() {
+    this.d.push("Z");
+  }
 
-    this.relativeHeight =
-      this.srcImage.naturalHeight /
-      this.ny /
-      (this.srcImage.naturalWidth / this.nx);
+  toString() {
+    return this.d.join("");
+  }
+}
 
-    if (!baseData) {
-      this.typeOfShape = this.typeOfShape || 0;
-    }
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
 
-    this.defineShapes({
-      coeffDecentr: 0.12,
-      twistf: [twist0, twist1, twist2, twist3][this.typeOfShape]
-    });
+const LAYOUTS = ["grid", "hex", "voronoi"];
+const VORONOI_JITTER = 0.35; // max seed offset from the grid cell centre
+const MIN_TAB_SIDE = 0.3; // shorter cell sides stay straight
 
-    this.polyPieces = [];
-    if (!baseData) {
-      this.pieces.forEach((row) =>
-        row.forEach((piece) => {
-          this.polyPieces.push(new PolyPiece(piece, this));
-        })
-      );
-      arrayShuffle(this.polyPieces);
-      if (this.rotationAllowed)
-        this.polyPieces.forEach((pp) => (pp.rot = intAlea(4)));
-    } else {
-      const pps = baseData[8];
-      const offs = this.rotationAllowed ? 3 : 2;
-      pps.forEach((ppData) => {
-        let polyp = new PolyPiece(this.pieces[ppData[offs + 1]][ppData[offs]], this);
-        polyp.x = ppData[0];
-        polyp.y = ppData[1];
-        polyp.rot = this.rotationAllowed ? ppData[2] : 0;
-        for (let k = offs + 2; k < ppData.length; k += 2) {
-          let kx = ppData[k];
-          let ky = ppData[k + 1];
-          polyp.pieces.push(this.pieces[ky][kx]);
-          polyp.pckxmin = mmin(polyp.pckxmin, kx);
-          polyp.pckxmax = mmax(polyp.pckxmax, kx + 1);
-          polyp.pckymin = mmin(polyp.pckymin, ky);
-          polyp.pckymax = mmax(polyp.pckymax, ky + 1);
+function normalizeRotation(allowRotation) {
+  if (allowRotation !== true && allowRotation !== false && allowRotation !== "free") {
+    throw new Error('allowRotation must be true, false or "free"');
+  }
+  return allowRotation;
+}
+
+function normalizeGhostOpacity(ghostOpacity) {
+  if (typeof ghostOpacity !== "number" || !(ghostOpacity >= 0 && ghostOpacity <= 1)) {
+    throw new Error("ghostOpacity must be a number from 0 to 1");
+  }
+  return ghostOpacity;
+}
+
+// fastest replay, times the speed of the game
+const MAX_REPLAY_SPEED = 16;
+
+function normalizeReplaySpeed(speed) {
+  if (typeof speed !== "number" || !(speed >= 1 && speed <= MAX_REPLAY_SPEED)) {
+    throw new Error(`Replay speed must be a number from 1 to ${MAX_REPLAY_SPEED}`);
+  }
+  return speed;
+}
+
+function normalizeLayout(layout) {
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown layout "${layout}"`);
+  }
+  return layout;
+}
+
+/**
+ * Clips a convex cell to the half-plane closer to seed than to other.
+ * Each vertex carries the edge label of the edge starting at it; the new
+ * edge along the bisector is labelled with otherIndex.
+ */
+function clipCell(cell, seed, other, otherIndex) {
+  const nx = other.x - seed.x;
+  const ny = other.y - seed.y;
+  const c = (other.x * other.x + other.y * other.y - seed.x * seed.x - seed.y * seed.y) / 2;
+  const out = [];
+  for (let k = 0; k < cell.length; ++k) {
+    const a = cell[k];
+    const b = cell[(k + 1) % cell.length];
+    const da = a.x * nx + a.y * ny - c;
+    const db = b.x * nx + b.y * ny - c;
+    if (da <= 0) out.push(a);
+    if (da <= 0 != db <= 0) {
+      const t = da / (da - db);
+      out.push({
+        x: a.x + t * (b.x - a.x),
+        y: a.y + t * (b.y - a.y),
+        edge: da <= 0 ? otherIndex : a.edge
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Merges cell vertices computed separately for adjacent cells into shared
+ * Points, so that sides of neighbouring pieces meet at identical coordinates.
+ */
+class VertexPool {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  get(x, y) {
+    const bx = mround(x * 1e4);
+    const by = mround(y * 1e4);
+    for (let dx = -1; dx <= 1; ++dx) {
+      for (let dy = -1; dy <= 1; ++dy) {
+        const bucket = this.buckets.get(bx + dx + "," + (by + dy));
+        if (!bucket) continue;
+        const found = bucket.find((p) => mabs(p.x - x) < 1e-6 && mabs(p.y - y) < 1e-6);
+        if (found) return found;
+      }
+    }
+    const p = new Point(x, y);
+    const key = bx + "," + by;
+    if (!this.buckets.has(key)) this.buckets.set(key, []);
+    this.buckets.get(key).push(p);
+    return p;
+  }
+}
+
+// ============================================================================
+// Saved Games
+// ============================================================================
+
+/**
+ * Each function turns a saved game of its version into the next version. Version 1 had no
+ * version field and kept the puzzle in a positional array, base: [nx, ny, width, seed,
+ * rotation (0, 1 or 2 for free), shape, imageWidth, imageHeight, polypieces, layout], each
+ * polypiece a flat [x, y, kx, ky, kx, ky...] with the rotation after y when rotation is on
+ */
+const SAVE_MIGRATIONS = {
+  1: (saved) => {
+    const { base, ...rest } = saved;
+    if (!Array.isArray(base) || base.length < 9 || !Array.isArray(base[8]) || !base[8].every(Array.isArray)) {
+      throw new Error("base must be [nx, ny, width, seed, rotation, shape, imageWidth, imageHeight, polypieces]");
+    }
+    const [cols, rows, width, seed, rotation, shape, imageWidth, imageHeight, pps, layout] = base;
+    const rotates = rotation === 2 ? "free" : !!rotation;
+    const offs = rotates ? 3 : 2;
+    return {
+      ...rest,
+      version: 2,
+      puzzle: { cols, rows, width, seed, rotation: rotates, shape, layout: layout || "grid", imageWidth, imageHeight },
+      polypieces: pps.map((ppData) => ({
+        x: ppData[0],
+        y: ppData[1],
+        rot: rotates ? ppData[2] : 0,
+        pieces: ppData.slice(offs)
+      }))
+    };
+  }
+};
+
+// a saved game of any version in the current layout, throws if it can't be migrated
+function migrateSave(saved) {
+  let version = saved.version ?? 1;
+  while (version < SAVE_VERSION) saved = SAVE_MIGRATIONS[version++](saved);
+  return saved;
+}
+
+const isCount = (value) => Number.isInteger(value) && value > 0;
+const isSize = (value) => typeof value === "number" && value > 0 && isFinite(value);
+const isCoordinate = (value) => typeof value === "number" && isFinite(value);
+
+// staggered hex rows have one more piece
+const rowLength = (puzzle, ky) => puzzle.layout === "hex" && ky % 2 === 1 ? puzzle.cols + 1 : puzzle.cols;
+
+// what is wrong with a polypiece state { x, y, rot, pieces }, the pieces found go to `seen`
+function polyStateErrors(puzzle, state, name, seen) {
+  if (state === null || typeof state !== "object") return [`${name} must be an object`];
+  const errors = [];
+  if (!isCoordinate(state.x) || !isCoordinate(state.y)) errors.push(`${name} must have numbers x and y`);
+  // quarter turns, any angle below 4 with free rotation
+  if (typeof state.rot !== "number" || !(state.rot >= 0 && state.rot < 4) ||
+    (puzzle.rotation !== "free" && !Number.isInteger(state.rot))) {
+    errors.push(`${name}.rot must be ${puzzle.rotation === "free" ? "from 0 to 4" : "0, 1, 2 or 3"}`);
+  }
+  const pieces = state.pieces;
+  if (!Array.isArray(pieces) || !pieces.length || pieces.length % 2) {
+    return [...errors, `${name}.pieces must be [kx, ky, kx, ky...]`];
+  }
+  for (let kp = 0; kp < pieces.length; kp += 2) {
+    const [kx, ky] = [pieces[kp], pieces[kp + 1]];
+    if (!Number.isInteger(kx) || !Number.isInteger(ky) || ky < 0 || ky >= puzzle.rows ||
+      kx < 0 || kx >= rowLength(puzzle, ky)) {
+      errors.push(`${name} has no piece at ${kx}, ${ky}`);
+    } else if (seen.has(kx + "," + ky)) {
+      errors.push(`piece ${kx}, ${ky} is in several polypieces`);
+    } else {
+      seen.add(kx + "," + ky);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Checks a saved game, migrating it first if it is older
+ * @returns {string[]} what is wrong with it, empty if it can be loaded
+ */
+function validateSave(saved) {
+  if (saved === null || typeof saved !== "object") return ["not an object"];
+  if (saved.signature !== FILE_SIGNATURE) return ["not a saved puzzle: signature is missing"];
+  const version = saved.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) return [`unknown version ${version}`];
+  if (version > SAVE_VERSION) {
+    return [`version ${version} was saved by a newer puzzle, this one reads up to version ${SAVE_VERSION}`];
+  }
+  try {
+    saved = migrateSave(saved);
+  } catch (error) {
+    return [error.message];
+  }
+  const errors = [];
+  if (typeof saved.src !== "string" || !saved.src) errors.push("src must be the image URL");
+  if ("origin" in saved && typeof saved.origin !== "string") errors.push("origin must be a string");
+  const puzzle = saved.puzzle;
+  if (puzzle === null || typeof puzzle !== "object") return [...errors, "puzzle is missing"];
+  if (!isCount(puzzle.cols)) errors.push("puzzle.cols must be a positive integer");
+  if (!isCount(puzzle.rows)) errors.push("puzzle.rows must be a positive integer");
+  if (!isSize(puzzle.width)) errors.push("puzzle.width must be a positive number");
+  if (typeof puzzle.seed !== "string" && typeof puzzle.seed !== "number") {
+    errors.push("puzzle.seed must be a string");
+  }
+  if (![true, false, "free"].includes(puzzle.rotation)) {
+    errors.push('puzzle.rotation must be true, false or "free"');
+  }
+  if (!isKnownShape(puzzle.shape)) errors.push(`puzzle.shape "${puzzle.shape}" is not registered`);
+  if (!LAYOUTS.includes(puzzle.layout)) errors.push(`puzzle.layout "${puzzle.layout}" is unknown`);
+  if (!isSize(puzzle.imageWidth) || !isSize(puzzle.imageHeight)) {
+    errors.push("puzzle.imageWidth and puzzle.imageHeight must be positive numbers");
+  }
+  // without polypieces it is a puzzle nobody has started yet
+  const polypieces = saved.polypieces;
+  if (polypieces !== undefined && (!Array.isArray(polypieces) || !polypieces.length)) {
+    return [...errors, "polypieces must be a non-empty array"];
+  }
+  if (errors.length) return errors;
+  // each piece of the puzzle in exactly one polypiece
+  let pieceCount = 0;
+  for (let ky = 0; ky < puzzle.rows; ky++) pieceCount += rowLength(puzzle, ky);
+  const seen = new Set();
+  (polypieces || []).forEach((state, k) => {
+    errors.push(...polyStateErrors(puzzle, state, `polypieces[${k}]`, seen));
+  });
+  if (polypieces && !errors.length && seen.size !== pieceCount) {
+    errors.push(`polypieces hold ${seen.size} pieces of ${pieceCount}`);
+  }
+  const view = saved.view;
+  if (view !== undefined && (view === null || !isCoordinate(view.x) || !isCoordinate(view.y) || !isSize(view.zoom))) {
+    errors.push("view must be { x, y, zoom }");
+  }
+  const history = saved.history;
+  if (history !== undefined && (history === null || !Array.isArray(history.undo) || !Array.isArray(history.redo))) {
+    errors.push("history must be { undo, redo }");
+  } else if (history) {
+    // undo and redo replace the polypieces of one list with those of the other
+    ["undo", "redo"].forEach((stack) => history[stack].forEach((command, k) => {
+      const name = `history.${stack}[${k}]`;
+      if (command === null || typeof command !== "object") {
+        errors.push(`${name} must be an object`);
+      } else if (command.view) {
+        const { before, after } = command.view;
+        const isView = (view) => view && isCoordinate(view.x) && isCoordinate(view.y) && isSize(view.zoom);
+        if (!isView(before) || !isView(after)) {
+          errors.push(`${name}.view must be { before, after } views`);
+        }
+      } else if (!Array.isArray(command.before) || !Array.isArray(command.after) || !command.before.length) {
+        errors.push(`${name} must be { before, after } lists of polypieces`);
+      } else {
+        ["before", "after"].forEach((list) => {
+          const found = new Set();
+          command[list].forEach((state, ks) => {
+            errors.push(...polyStateErrors(puzzle, state, `${name}.${list}[${ks}]`, found));
+          });
+        });
+      }
+    }));
+  }
+  const stats = saved.stats;
+  if (stats !== undefined && (stats === null || typeof stats !== "object")) {
+    errors.push("stats must be an object");
+  } else if (stats) {
+    // missing ones start from 0
+    ["elapsed", "moves", "rotations", "merges", "hints"].forEach((field) => {
+      if (field in stats && !(isCoordinate(stats[field]) && stats[field] >= 0)) {
+        errors.push(`stats.${field} must be a number of 0 or more`);
+      }
+    });
+  }
+  if (saved.locks !== undefined && !Array.isArray(saved.locks)) errors.push("locks must be an array");
+  return errors;
+}
+
+/**
+ * The image as a data URL, for files that don't depend on where the image was: its own bytes
+ * if they can be fetched, else redrawn on a canvas, which works for cross-origin images
+ * loaded with crossOrigin only
+ */
+async function embedImage(image) {
+  if (image.src.startsWith("data:")) return image.src;
+  try {
+    const response = await fetch(image.src);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    canvas.getContext("2d").drawImage(image, 0, 0);
+    try {
+      return canvas.toDataURL();
+    } catch (canvasError) {
+      throw new Error(`The image can't be embedded: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Packs a saved game into a URL-safe code: the puzzle, and with progress each polypiece as its
+ * pieces (row-major indices, delta-coded) and its position rounded to the pixel. Numbers are
+ * LEB128 varints, signed ones zigzagged, strings are UTF-8 with their length first
+ */
+function packShareCode(saved, includeProgress) {
+  const { puzzle } = saved;
+  const bytes = [];
+  const uint = (n) => {
+    do {
+      const low = n % 128;
+      n = Math.floor(n / 128);
+      bytes.push(n ? low | 128 : low);
+    } while (n);
+  };
+  const int = (n) => uint(n < 0 ? -2 * n - 1 : 2 * n);
+  const text = (string) => {
+    const encoded = new TextEncoder().encode(string);
+    uint(encoded.length);
+    encoded.forEach((b) => bytes.push(b));
+  };
+  const named = typeof puzzle.shape === "string";
+  bytes.push(SHARE_CODE_VERSION);
+  bytes.push([false, true, "free"].indexOf(puzzle.rotation) |
+    (LAYOUTS.indexOf(puzzle.layout) << 2) | (named ? 16 : 0) | (includeProgress ? 32 : 0));
+  [puzzle.cols, puzzle.rows, mround(puzzle.width), puzzle.imageWidth, puzzle.imageHeight].forEach(uint);
+  text(String(puzzle.seed));
+  if (named) text(puzzle.shape);
+  else uint(puzzle.shape);
+  text(saved.src);
+  if (includeProgress) {
+    const rowStarts = [0];
+    for (let ky = 0; ky < puzzle.rows; ky++) rowStarts.push(rowStarts[ky] + rowLength(puzzle, ky));
+    uint(saved.polypieces.length);
+    saved.polypieces.forEach((state) => {
+      const indices = [];
+      for (let k = 0; k < state.pieces.length; k += 2) {
+        indices.push(rowStarts[state.pieces[k + 1]] + state.pieces[k]);
+      }
+      indices.sort((a, b) => a - b);
+      uint(indices.length);
+      indices.forEach((index, k) => uint(k ? index - indices[k - 1] : index));
+      int(mround(state.x));
+      int(mround(state.y));
+      // quarter turns, or free angles in 64ths of a quarter turn
+      if (puzzle.rotation === true) bytes.push(state.rot);
+      else if (puzzle.rotation === "free") bytes.push(mround(state.rot * 64) % 256);
+    });
+  }
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// the saved game a share code holds, without polypieces if it has no progress
+function unpackShareCode(code) {
+  let bytes;
+  try {
+    bytes = Uint8Array.from(atob(code.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+  } catch (error) {
+    throw new Error("Not a share code");
+  }
+  let pos = 0;
+  const byte = () => {
+    if (pos >= bytes.length) throw new Error("The share code is cut short");
+    return bytes[pos++];
+  };
+  const uint = () => {
+    let n = 0;
+    let scale = 1;
+    let b;
+    do {
+      b = byte();
+      n += (b & 127) * scale;
+      scale *= 128;
+    } while (b & 128);
+    return n;
+  };
+  const int = () => {
+    const n = uint();
+    return n % 2 ? -(n + 1) / 2 : n / 2;
+  };
+  // a count of things each taking a byte at least, so a bad code can't make huge arrays
+  const count = () => {
+    const n = uint();
+    if (n > bytes.length - pos) throw new Error("The share code is cut short");
+    return n;
+  };
+  const text = () => {
+    const length = count();
+    pos += length;
+    return new TextDecoder().decode(bytes.subarray(pos - length, pos));
+  };
+  const version = byte();
+  if (version !== SHARE_CODE_VERSION) throw new Error(`Unknown share code version ${version}`);
+  const flags = byte();
+  const [cols, rows, width, imageWidth, imageHeight] = [uint(), uint(), uint(), uint(), uint()];
+  const seed = text();
+  const shape = flags & 16 ? text() : uint();
+  const puzzle = {
+    cols,
+    rows,
+    width,
+    seed,
+    rotation: [false, true, "free"][flags & 3],
+    shape,
+    layout: LAYOUTS[(flags >> 2) & 3],
+    imageWidth,
+    imageHeight
+  };
+  const saved = { signature: FILE_SIGNATURE, version: SAVE_VERSION, src: text(), puzzle };
+  if (flags & 32) {
+    const rowStarts = [0];
+    for (let ky = 0; ky < rows; ky++) rowStarts.push(rowStarts[ky] + rowLength(puzzle, ky));
+    saved.polypieces = Array.from({ length: count() }, () => {
+      const pieces = [];
+      let index = 0;
+      for (let k = count(); k > 0; k--) {
+        index += uint();
+        let ky = 0;
+        while (ky < rows - 1 && index >= rowStarts[ky + 1]) ky++;
+        pieces.push(index - rowStarts[ky], ky);
+      }
+      const [x, y] = [int(), int()];
+      const rot = puzzle.rotation === true ? byte() : puzzle.rotation === "free" ? byte() / 64 : 0;
+      return { x, y, rot, pieces };
+    });
+  }
+  if (pos < bytes.length) throw new Error("Not a share code");
+  return saved;
+}
+
+// ============================================================================
+// Internal Puzzle Class (refactored to be UI-independent)
+// ============================================================================
+
+class InternalPuzzle {
+  constructor(container) {
+    this.container = typeof container === "string" 
+      ? document.getElementById(container)
+      : container;
+
+    this.gameCanvas = document.createElement("CANVAS");
+    this.container.appendChild(this.gameCanvas);
+
+    this.srcImage = new Image();
+    this.imageLoaded = false;
+    
+    // State
+    this.nbPieces = 20;
+    this.rotationAllowed = false; // true for quarter turns, "free" for any angle
+    this.rotationTolerance = 10; // degrees
+    this.typeOfShape = 0;
+    this.layout = "grid";
+    this.seed = null;
+    this.rendererType = "dom";
+    this.theme = { ...DEFAULT_THEME };
+
+    // table to container transform: screen = table * zoom + (x, y)
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    this.minZoom = 0.2;
+    this.maxZoom = 5;
+    this.pixelScale = 1;
+    this.pixelRatio = null;
+    this.onViewportChange = null;
+
+    // frame where the solved picture goes, pieces snap to their place in it
+    this.showBoard = false;
+    this.ghostOpacity = 0;
+  }
+
+  getContainerSize() {
+    let styl = window.getComputedStyle(this.container);
+    this.contWidth = parseFloat(styl.width);
+    this.contHeight = parseFloat(styl.height);
+  }
+
+  // a new puzzle, or the one of a saved game in the current version (see migrateSave())
+  create(saved) {
+    this.prng = mMash(saved ? saved.puzzle.seed : this.seed);
+    // separate stream for shuffling, rotations and scattering, so that
+    // custom shapes drawing more or fewer numbers don't change the layout
+    this.gamePrng = mMash(this.prng.seed + "/game");
+    this.container.innerHTML = "";
+    this.getContainerSize();
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    this.pixelScale = this.getPixelScale();
+    this.renderer = this.rendererType === "canvas"
+      ? new CanvasRenderer(this)
+      : new DomRenderer(this);
+    
+    if (saved) {
+      // saved.puzzle.width is total game width (scalex * nx), not scalex itself
+      // scalex will be calculated in doScale()
+      this.nx = saved.puzzle.cols;
+      this.ny = saved.puzzle.rows;
+      this.rotationAllowed = saved.puzzle.rotation;
+      this.typeOfShape = saved.puzzle.shape;
+      this.layout = saved.puzzle.layout;
+    } else {
+      this.computenxAndny();
+    }
+
+    this.relativeHeight =
+      this.srcImage.naturalHeight /
+      this.ny /
+      (this.srcImage.naturalWidth / this.nx);
+
+    if (!saved) {
+      this.typeOfShape = this.typeOfShape || 0;
+    }
+
+    this.defineShapes({
+      coeffDecentr: 0.12,
+      twistf: resolveShape(this.typeOfShape)
+    });
+
+    this.polyPieces = [];
+    if (!saved || !saved.polypieces) {
+      this.pieces.forEach((row) =>
+        row.forEach((piece) => {
+          this.polyPieces.push(new PolyPiece(piece, this));
+        })
+      );
+      arrayShuffle(this.polyPieces, this.gamePrng);
+      if (this.rotationAllowed === "free")
+        this.polyPieces.forEach((pp) => (pp.rot = this.gamePrng.alea(4)));
+      else if (this.rotationAllowed)
+        this.polyPieces.forEach((pp) => (pp.rot = this.gamePrng.intAlea(4)));
+    } else {
+      saved.polypieces.forEach((state) => {
+        const pieces = state.pieces;
+        let polyp = new PolyPiece(this.pieces[pieces[1]][pieces[0]], this);
+        polyp.x = state.x;
+        polyp.y = state.y;
+        polyp.rot = this.rotationAllowed ? state.rot : 0;
+        for (let k = 2; k < pieces.length; k += 2) {
+          polyp.addPiece(this.pieces[pieces[k + 1]][pieces[k]]);
         }
         polyp.listLoops();
         this.polyPieces.push(polyp);
@@ -956,6 +1876,12 @@ class InternalPuzzle {
   }
 
   defineShapes(shapeDesc) {
+    if (this.layout === "grid") this.defineGridShapes(shapeDesc);
+    else this.defineCellShapes(shapeDesc);
+    this.pieceCount = this.pieces.reduce((sum, row) => sum + row.length, 0);
+  }
+
+  defineGridShapes(shapeDesc) {
     let { coeffDecentr, twistf } = shapeDesc;
     const corners = [];
     const nx = this.nx, ny = this.ny;
@@ -1008,6 +1934,124 @@ class InternalPuzzle {
         }
       }
     }
+
+    this.pieces.forEach((row, ky) =>
+      row.forEach((piece, kx) => {
+        piece.neighbors = [
+          ky > 0 ? this.pieces[ky - 1][kx] : null,
+          kx < nx - 1 ? this.pieces[ky][kx + 1] : null,
+          ky < ny - 1 ? this.pieces[ky + 1][kx] : null,
+          kx > 0 ? this.pieces[ky][kx - 1] : null
+        ];
+      })
+    );
+  }
+
+  /**
+   * Builds hex or Voronoi pieces: each piece is the cell of a seed point
+   * inside the [0, nx] x [0, ny] rectangle, with one side per neighbour cell.
+   * Hex cells come from seeds on a staggered lattice, Voronoi cells from
+   * seeds jittered inside the grid cells.
+   */
+  defineCellShapes(shapeDesc) {
+    const { twistf } = shapeDesc;
+    const nx = this.nx, ny = this.ny;
+
+    const seeds = [];
+    for (let ky = 0; ky < ny; ++ky) {
+      const stagger = this.layout === "hex" && ky % 2 == 1;
+      const ncols = stagger ? nx + 1 : nx;
+      for (let kx = 0; kx < ncols; ++kx) {
+        if (this.layout === "hex") {
+          seeds.push({ kx, ky, x: stagger ? kx : kx + 0.5, y: ky + 0.5 });
+        } else {
+          seeds.push({
+            kx,
+            ky,
+            x: kx + 0.5 + this.prng.alea(-VORONOI_JITTER, VORONOI_JITTER),
+            y: ky + 0.5 + this.prng.alea(-VORONOI_JITTER, VORONOI_JITTER)
+          });
+        }
+      }
+    }
+
+    // Voronoi cells, each vertex carrying the index of the seed across the
+    // edge that starts there (-1 for the border)
+    const vertices = new VertexPool();
+    const cells = seeds.map((seed, k) => {
+      let cell = [
+        { x: 0, y: 0, edge: -1 },
+        { x: nx, y: 0, edge: -1 },
+        { x: nx, y: ny, edge: -1 },
+        { x: 0, y: ny, edge: -1 }
+      ];
+      seeds.forEach((other, ko) => {
+        if (ko == k || mabs(other.ky - seed.ky) > 2 || mabs(other.x - seed.x) > 3) return;
+        cell = clipCell(cell, seed, other, ko);
+      });
+      return cell
+        .map((v) => ({ p: vertices.get(v.x, v.y), edge: v.edge }))
+        .filter((v, kv, arr) => v.p !== arr[(kv + 1) % arr.length].p);
+    });
+
+    this.pieces = [];
+    seeds.forEach((seed) => {
+      if (!this.pieces[seed.ky]) this.pieces[seed.ky] = [];
+    });
+    const shared = new Map();
+    cells.forEach((cell, k) => {
+      const seed = seeds[k];
+      const np = new Piece(seed.kx, seed.ky, cell.length);
+      this.pieces[seed.ky][seed.kx] = np;
+      cell.forEach((v, kv) => {
+        const p0 = v.p;
+        const p1 = cell[(kv + 1) % cell.length].p;
+        if (v.edge >= 0 && v.edge < k) {
+          // the other cell already built this side
+          const built = shared.get(v.edge + "," + k);
+          if (built) {
+            np.sides[kv] = built.reversed();
+            return;
+          }
+        }
+        const side = np.sides[kv];
+        side.points = [p0, p1];
+        side.type = "d";
+        if (v.edge < 0) return;
+        shared.set(k + "," + v.edge, side);
+        const other = seeds[v.edge];
+        const len = mhypot(p1.x - p0.x, p1.y - p0.y);
+        if (len < MIN_TAB_SIDE) return;
+        // reference point across the side, as far as the far side of a grid piece
+        const toward = this.prng.intAlea(2) ? seed : other;
+        const away = toward === seed ? other : seed;
+        const dist = mhypot(toward.x - away.x, toward.y - away.y);
+        const reach = mmin(dist, 1.2 * len);
+        const ref = new Point(
+          (p0.x + p1.x) / 2 + ((toward.x - away.x) / dist) * reach,
+          (p0.y + p1.y) / 2 + ((toward.y - away.y) / dist) * reach
+        );
+        twistf(side, ref, ref, this.prng);
+      });
+    });
+
+    cells.forEach((cell, k) => {
+      const np = this.pieces[seeds[k].ky][seeds[k].kx];
+      np.neighbors = cell.map((v) => {
+        if (v.edge < 0) return null;
+        return this.pieces[seeds[v.edge].ky][seeds[v.edge].kx];
+      });
+      np.bx0 = np.by0 = Infinity;
+      np.bx1 = np.by1 = -Infinity;
+      np.sides.forEach((side) =>
+        side.points.forEach((p) => {
+          np.bx0 = mmin(np.bx0, p.x);
+          np.bx1 = mmax(np.bx1, p.x);
+          np.by0 = mmin(np.by0, p.y);
+          np.by1 = mmax(np.by1, p.y);
+        })
+      );
+    });
   }
 
   scale() {
@@ -1039,11 +2083,10 @@ class InternalPuzzle {
   doScale(width) {
     this.gameWidth = width;
     this.gameHeight = (width * this.srcImage.naturalHeight) / this.srcImage.naturalWidth;
+    // the cap depends on the size of the puzzle
+    this.pixelScale = this.getPixelScale();
 
-    this.gameCanvas.width = this.gameWidth;
-    this.gameCanvas.height = this.gameHeight;
-    this.gameCtx = this.gameCanvas.getContext("2d");
-    this.gameCtx.drawImage(this.srcImage, 0, 0, this.gameWidth, this.gameHeight);
+    this.renderSource();
 
     this.gameCanvas.classList.add("gameCanvas");
     this.gameCanvas.style.zIndex = 500;
@@ -1055,36 +2098,165 @@ class InternalPuzzle {
       row.forEach((piece) => piece.scale(this));
     });
 
+    const cellSize = 2 * mmax(this.scalex, this.scaley);
+    this.hitIndex = new SpatialGrid(cellSize);
+    this.orgIndex = new SpatialGrid(cellSize);
+
     this.offsx = (this.contWidth - this.gameWidth) / 2;
     this.offsy = (this.contHeight - this.gameHeight) / 2;
     this.dConnect = mmax(10, mmin(this.scalex, this.scaley) / 10);
+    // default thickness, theme.embossThickness overrides it
     this.embossThickness = mmin(2 + (this.scalex / 200) * (5 - 2), 5);
   }
 
+  // draws the image into gameCanvas, at the resolution of the piece bitmaps
+  // but never above the resolution of the image itself
+  renderSource() {
+    this.srcScale = mmin(this.pixelScale, this.srcImage.naturalWidth / this.gameWidth);
+    this.gameCanvas.width = mround(this.gameWidth * this.srcScale);
+    this.gameCanvas.height = mround(this.gameHeight * this.srcScale);
+    this.gameCtx = this.gameCanvas.getContext("2d");
+    this.gameCtx.drawImage(this.srcImage, 0, 0, this.gameCanvas.width, this.gameCanvas.height);
+  }
+
+  setCamera(x, y, zoom) {
+    const zoomChanged = zoom !== this.camera.zoom;
+    this.camera = { x, y, zoom };
+    this.renderer.setCamera(this.camera);
+    if (zoomChanged) {
+      // re-render the bitmaps for the new zoom once the user stops zooming
+      clearTimeout(this.pixelScaleTimer);
+      this.pixelScaleTimer = setTimeout(() => this.updatePixelScale(), 250);
+    }
+    if (this.onViewportChange) this.onViewportChange(this.getViewport());
+  }
+
+  // device pixels per CSS pixel, capped by the pixelRatio option
+  getPixelRatio() {
+    const ratio = window.devicePixelRatio || 1;
+    return this.pixelRatio ? mmin(ratio, this.pixelRatio) : ratio;
+  }
+
+  // bitmap pixels per table pixel, in half-octave zoom steps so that small
+  // zoom changes keep the bitmaps, capped so that a puzzle joined into one
+  // piece still has a bitmap of a size browsers can hold
+  getPixelScale() {
+    const scale = 2 ** (mround(Math.log2(this.camera.zoom) * 2) / 2) * this.getPixelRatio();
+    const size = mmax(this.gameWidth || 0, this.gameHeight || 0);
+    return size ? mmin(scale, MAX_BITMAP_SIZE / size) : scale;
+  }
+
+  updatePixelScale() {
+    const pixelScale = this.getPixelScale();
+    if (pixelScale === this.pixelScale || !this.polyPieces) return;
+    this.pixelScale = pixelScale;
+    this.renderSource();
+    this.polyPieces.forEach((pp) => pp.drawImage());
+  }
+
+  setTheme(theme) {
+    this.theme = theme;
+    if (this.polyPieces && this.renderer) {
+      this.polyPieces.forEach((pp) => pp.drawImage());
+      this.updateBoard();
+    }
+  }
+
+  // shows the board as set by showBoard and ghostOpacity, once the game is scaled
+  updateBoard() {
+    if (!this.renderer || this.offsx === undefined) return;
+    this.renderer.setBoard(this.showBoard ? {
+      x: this.offsx,
+      y: this.offsy,
+      width: this.gameWidth,
+      height: this.gameHeight,
+      ghostOpacity: this.ghostOpacity
+    } : null);
+  }
+
+  // what getOrgP() returns for polypieces at their place on the board
+  getBoardOrgP() {
+    return { x: this.offsx - this.scalex / 2, y: this.offsy - this.scaley / 2 };
+  }
+
+  // CSS box-shadow matching the piece shadow, for the preview image
+  boxShadow() {
+    const theme = this.theme;
+    return `${theme.shadowOffsetX}px ${theme.shadowOffsetY}px ${theme.shadowBlur}px ${theme.shadowColor}`;
+  }
+
+  toWorld(p) {
+    return {
+      x: (p.x - this.camera.x) / this.camera.zoom,
+      y: (p.y - this.camera.y) / this.camera.zoom
+    };
+  }
+
+  toScreen(p) {
+    return {
+      x: p.x * this.camera.zoom + this.camera.x,
+      y: p.y * this.camera.zoom + this.camera.y
+    };
+  }
+
+  toScreenRect(rect) {
+    const p0 = this.toScreen(rect);
+    const p1 = this.toScreen({ x: rect.right, y: rect.bottom });
+    return {
+      x: p0.x,
+      y: p0.y,
+      right: p1.x,
+      bottom: p1.y,
+      width: p1.x - p0.x,
+      height: p1.y - p0.y
+    };
+  }
+
+  indexPolyPiece(pp) {
+    if (pp.x === undefined || pp.width === undefined) return;
+    this.hitIndex.insert(pp, pp.getRect());
+    const org = pp.getOrgP();
+    this.orgIndex.insert(pp, { x: org.x, y: org.y, right: org.x, bottom: org.y });
+  }
+
+  unindexPolyPiece(pp) {
+    this.hitIndex.remove(pp);
+    this.orgIndex.remove(pp);
+  }
+
+  // part of the table visible in the container, in table pixels
+  getViewport() {
+    const { x, y, zoom } = this.camera;
+    return {
+      x: -x / zoom,
+      y: -y / zoom,
+      width: this.contWidth / zoom,
+      height: this.contHeight / zoom,
+      zoom
+    };
+  }
+
+  setViewport(viewport) {
+    const zoom = mmin(mmax(viewport.zoom ?? this.camera.zoom, this.minZoom), this.maxZoom);
+    const current = this.getViewport();
+    const x = viewport.x ?? current.x;
+    const y = viewport.y ?? current.y;
+    this.setCamera(-x * zoom, -y * zoom, zoom);
+  }
+
   sweepBy(dx, dy) {
-    this.polyPieces.forEach((pp) => {
-      pp.moveTo(pp.x + dx, pp.y + dy);
-    });
+    this.setCamera(this.camera.x + dx, this.camera.y + dy, this.camera.zoom);
   }
 
   zoomBy(coef, center) {
-    let futWidth = this.gameWidth * coef;
-    let futHeight = this.gameHeight * coef;
-    if (
-      ((futWidth > 3000 || futHeight > 3000) && coef > 1) ||
-      (futWidth < 200 || futHeight < 200) & (coef < 1)
-    )
-      return;
-    if (coef == 1) return;
-
-    this.doScale(futWidth);
-    this.polyPieces.forEach((pp) => {
-      pp.moveTo(
-        coef * (pp.x - center.x) + center.x,
-        coef * (pp.y - center.y) + center.y
-      );
-      pp.drawImage();
-    });
+    const zoom = mmin(mmax(this.camera.zoom * coef, this.minZoom), this.maxZoom);
+    if (zoom === this.camera.zoom) return;
+    const k = zoom / this.camera.zoom;
+    this.setCamera(
+      center.x - (center.x - this.camera.x) * k,
+      center.y - (center.y - this.camera.y) * k,
+      zoom
+    );
   }
 
   relativeMouseCoordinates(event) {
@@ -1106,14 +2278,14 @@ class InternalPuzzle {
   spreadInRectangle(rect) {
     this.limitRectangle(rect);
     this.polyPieces.forEach((pp) =>
-      pp.moveTo(alea(rect.x0, rect.x1), alea(rect.y0, rect.y1))
+      pp.moveTo(this.gamePrng.alea(rect.x0, rect.x1), this.gamePrng.alea(rect.y0, rect.y1))
     );
   }
 
   spreadSetInRectangle(set, rect) {
     this.limitRectangle(rect);
     set.forEach((pp) =>
-      pp.moveTo(alea(rect.x0, rect.x1), alea(rect.y0, rect.y1))
+      pp.moveTo(this.gamePrng.alea(rect.x0, rect.x1), this.gamePrng.alea(rect.y0, rect.y1))
     );
   }
 
@@ -1202,63 +2374,423 @@ class InternalPuzzle {
     let nrects = [];
     rects.forEach((rect) => nrects.push(rect));
     let k0 = 0;
-    const npTot = this.nx * this.ny;
+    const npTot = this.polyPieces.length;
     for (let k = 0; k < nrects.length; ++k) {
       let k1 = mround(((k + 1) / nrects.length) * npTot);
       this.spreadSetInRectangle(this.polyPieces.slice(k0, k1), nrects[k]);
       k0 = k1;
     }
-    arrayShuffle(this.polyPieces);
+    arrayShuffle(this.polyPieces, this.gamePrng);
     this.evaluateZIndex();
   }
 
-  evaluateZIndex() {
-    for (let k = this.polyPieces.length - 1; k > 0; --k) {
-      if (
-        this.polyPieces[k].pieces.length > this.polyPieces[k - 1].pieces.length
-      ) {
-        [this.polyPieces[k], this.polyPieces[k - 1]] = [
-          this.polyPieces[k - 1],
-          this.polyPieces[k]
-        ];
-      }
-    }
-    this.polyPieces.forEach((pp, k) => {
-      pp.canvas.style.zIndex = k + 10;
+  /**
+   * Positions (for moveTo) laying out polypieces in rows as wide as the board, below it
+   * or above it if up is set. Each group starts a new row.
+   */
+  layOutInRows(groups, up) {
+    const step = 1.5 * mmax(this.scalex, this.scaley);
+    const columns = mmax(1, mfloor(this.gameWidth / step));
+    const positions = new Map();
+    let row = 0;
+    groups.forEach((group) => {
+      group.forEach((pp, k) => {
+        const cx = this.offsx + step / 2 + (k % columns) * step;
+        const dy = 0.75 * step + (row + mfloor(k / columns)) * step;
+        const cy = up ? this.offsy - dy : this.offsy + this.gameHeight + dy;
+        positions.set(pp, { x: cx - pp.width / 2, y: cy - pp.height / 2 });
+      });
+      row += mceil(group.length / columns);
     });
-    this.zIndexSup = this.polyPieces.length + 10;
+    return positions;
   }
 
-  getStateData() {
-    let ppData;
-    let saved = { signature: FILE_SIGNATURE };
+  // positions piling polypieces around (cx, cy), like pieces poured out of the box
+  pileAt(polyPieces, cx, cy) {
+    const radius = 0.3 * mmax(this.scalex, this.scaley);
+    const positions = new Map();
+    polyPieces.forEach((pp, k) => {
+      // golden angle spiral: close together but not exactly on top of each other
+      const r = radius * msqrt((k + 0.5) / polyPieces.length);
+      const angle = k * 2.39996;
+      positions.set(pp, {
+        x: cx + r * Math.cos(angle) - pp.width / 2,
+        y: cy + r * Math.sin(angle) - pp.height / 2
+      });
+    });
+    return positions;
+  }
+
+  /**
+   * Positions moving the movable polypieces, bottom one first, to the nearest place where
+   * their body doesn't overlap the fixed polypieces or the ones already placed
+   */
+  separate(fixed, movable) {
+    const scale = mmax(this.scalex, this.scaley);
+    const inset = 0.4 * mmin(this.scalex, this.scaley); // tabs may interlock
+    const step = 0.6 * scale;
+    const grid = new SpatialGrid(2 * scale);
+    const body = (pp, x, y) => {
+      const rect = pp.rectAt(x, y);
+      return { x: rect.x + inset, y: rect.y + inset, right: rect.right - inset, bottom: rect.bottom - inset };
+    };
+    const isFree = (rect) => {
+      for (const other of grid.query(rect)) {
+        if (other.x < rect.right && other.right > rect.x && other.y < rect.bottom && other.bottom > rect.y) {
+          return false;
+        }
+      }
+      return true;
+    };
+    // the points of each ring square around a piece, nearest first
+    const rings = [];
+    const ringOffsets = (ring) => {
+      if (!rings[ring]) {
+        const offsets = [];
+        for (let k = -ring; k < ring; ++k) {
+          offsets.push({ x: k, y: -ring }, { x: ring, y: k }, { x: -k, y: ring }, { x: -ring, y: -k });
+        }
+        rings[ring] = offsets.sort((o1, o2) => mhypot(o1.x, o1.y) - mhypot(o2.x, o2.y));
+      }
+      return rings[ring];
+    };
+    fixed.forEach((pp) => {
+      const rect = body(pp, pp.x, pp.y);
+      grid.insert(rect, rect);
+    });
+    const positions = new Map();
+    const lastRings = new Map();
+    movable.forEach((pp) => {
+      let rect = body(pp, pp.x, pp.y);
+      // in a pile, the rings already full for the previous piece are full for this one too
+      const key = mround(pp.x / step) + "," + mround(pp.y / step);
+      let ring = mmax(1, (lastRings.get(key) || 0) - 1);
+      for (; !isFree(rect) && ring < 100; ++ring) {
+        const free = ringOffsets(ring).find((o) => isFree(body(pp, pp.x + o.x * step, pp.y + o.y * step)));
+        if (free) {
+          positions.set(pp, { x: pp.x + free.x * step, y: pp.y + free.y * step });
+          rect = body(pp, pp.x + free.x * step, pp.y + free.y * step);
+          lastRings.set(key, ring);
+        }
+      }
+      grid.insert(rect, rect);
+    });
+    return positions;
+  }
+
+  // average colour of the part of the picture under each piece, null if the image can't be read back
+  pieceColors() {
+    const res = 4; // samples per piece along each axis
+    const canvas = document.createElement("CANVAS");
+    canvas.width = this.nx * res;
+    canvas.height = this.ny * res;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(this.gameCanvas, 0, 0, canvas.width, canvas.height);
+    let data;
+    try {
+      data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    } catch (exception) {
+      return null;
+    }
+    const colors = new Map();
+    this.pieces.forEach((row) => row.forEach((piece) => {
+      const color = { r: 0, g: 0, b: 0 };
+      let n = 0;
+      const y1 = mmin(canvas.height, mceil(piece.by1 * res));
+      const x1 = mmin(canvas.width, mceil(piece.bx1 * res));
+      for (let y = mmax(0, mfloor(piece.by0 * res)); y < y1; ++y) {
+        for (let x = mmax(0, mfloor(piece.bx0 * res)); x < x1; ++x) {
+          const k = (y * canvas.width + x) * 4;
+          color.r += data[k];
+          color.g += data[k + 1];
+          color.b += data[k + 2];
+          ++n;
+        }
+      }
+      colors.set(piece, { r: color.r / (n || 1), g: color.g / (n || 1), b: color.b / (n || 1) });
+    }));
+    return colors;
+  }
+
+  /**
+   * Adds a polypiece made of the pieces at [kx, ky, kx, ky...], sorted as in merge(),
+   * to split a merged polypiece back into its parts
+   */
+  addPolyPiece(coords) {
+    const pp = new PolyPiece(this.pieces[coords[1]][coords[0]], this);
+    for (let k = 2; k < coords.length; k += 2) {
+      pp.addPiece(this.pieces[coords[k + 1]][coords[k]]);
+    }
+    pp.listLoops();
+    this.polyPieces.push(pp);
+    pp.drawImage();
+    return pp;
+  }
+
+  removePolyPiece(pp) {
+    this.polyPieces.splice(this.polyPieces.indexOf(pp), 1);
+    this.renderer.detach(pp);
+    this.unindexPolyPiece(pp);
+  }
+
+  evaluateZIndex() {
+    for (let k = this.polyPieces.length - 1; k > 0; --k) {
+      if (
+        this.polyPieces[k].pieces.length > this.polyPieces[k - 1].pieces.length
+      ) {
+        [this.polyPieces[k], this.polyPieces[k - 1]] = [
+          this.polyPieces[k - 1],
+          this.polyPieces[k]
+        ];
+      }
+    }
+    this.polyPieces.forEach((pp, k) => {
+      pp.setZIndex(k + 10);
+    });
+    this.zIndexSup = this.polyPieces.length + 10;
+  }
+
+  /**
+   * SVG document with the cut lines of the current puzzle, drawn from the
+   * same Bézier points as the pieces. In "edges" mode every side shared by
+   * two pieces is stroked once, in "pieces" mode each piece is a closed path.
+   */
+  getCutPattern(options) {
+    const naturalWidth = this.srcImage.naturalWidth;
+    const naturalHeight = this.srcImage.naturalHeight;
+    let { width, height } = options;
+    if (!width && !height) width = naturalWidth;
+    if (!width) width = (height * naturalWidth) / naturalHeight;
+    if (!height) height = (width * naturalHeight) / naturalWidth;
+    const unit = options.unit || "";
+    const mode = options.mode || "edges";
+
+    // scaledPoints are in game pixels, one piece being scalex x scaley
+    const coefx = width / (this.scalex * this.nx);
+    const coefy = height / (this.scaley * this.ny);
+    const paths = [];
+    const allPieces = [];
+    this.pieces.forEach((row) => row.forEach((piece) => allPieces.push(piece)));
+    const index = new Map(allPieces.map((piece, k) => [piece, k]));
+
+    allPieces.forEach((piece, k) => {
+      if (mode === "pieces") {
+        const path = new SvgPath(coefx, coefy);
+        piece.sides.forEach((side, kSide) => side.drawPath(path, 0, 0, kSide > 0));
+        path.closePath();
+        paths.push(path);
+        return;
+      }
+      piece.sides.forEach((side, kSide) => {
+        const neighbor = piece.neighbors[kSide];
+        if (neighbor && index.get(neighbor) < k) return;
+        const path = new SvgPath(coefx, coefy);
+        side.drawPath(path, 0, 0);
+        paths.push(path);
+      });
+    });
+
+    const strokeWidth = options.strokeWidth || 1;
+    const svg = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}${unit}" height="${height}${unit}" viewBox="0 0 ${width} ${height}">`
+    ];
+    if (options.includeImage) {
+      const href = escapeXml(this.getImageDataURL());
+      svg.push(`<image x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none" href="${href}" xlink:href="${href}"/>`);
+    }
+    svg.push(`<g fill="none" stroke="#000" stroke-width="${strokeWidth}">`);
+    paths.forEach((path) => svg.push(`<path d="${path}"/>`));
+    svg.push("</g>", "</svg>");
+    return svg.join("\n");
+  }
+
+  /**
+   * The source image at its natural size as a data URL, or its URL when the
+   * image comes from another origin and can't be read back
+   */
+  getImageDataURL() {
+    if (this.srcImage.src.startsWith("data:")) return this.srcImage.src;
+    const canvas = document.createElement("CANVAS");
+    canvas.width = this.srcImage.naturalWidth;
+    canvas.height = this.srcImage.naturalHeight;
+    canvas.getContext("2d").drawImage(this.srcImage, 0, 0);
+    try {
+      return canvas.toDataURL("image/png");
+    } catch (exception) {
+      return this.srcImage.src;
+    }
+  }
+
+  getStateData() {
+    let saved = { signature: FILE_SIGNATURE, version: SAVE_VERSION };
     if ("origin" in this.srcImage.dataset) {
       saved.origin = this.srcImage.dataset.origin;
     }
     saved.src = this.srcImage.src;
-    let base = [
-      this.nx,
-      this.ny,
-      this.scalex * this.nx,
-      this.prng.seed,
-      this.rotationAllowed ? 1 : 0,
-      this.typeOfShape,
-      this.srcImage.naturalWidth,
-      this.srcImage.naturalHeight
-    ];
-    saved.base = base;
-    let pps = [];
-    base.push(pps);
-    this.polyPieces.forEach((pp) => {
-      ppData = [mround(pp.x), mround(pp.y)];
-      if (this.rotationAllowed) ppData.push(pp.rot);
-      pp.pieces.forEach((p) => ppData.push(p.kx, p.ky));
-      pps.push(ppData);
-    });
+    saved.puzzle = {
+      cols: this.nx,
+      rows: this.ny,
+      width: this.scalex * this.nx,
+      seed: this.prng.seed,
+      rotation: this.rotationAllowed,
+      shape: this.typeOfShape,
+      layout: this.layout,
+      imageWidth: this.srcImage.naturalWidth,
+      imageHeight: this.srcImage.naturalHeight
+    };
+    saved.view = { ...this.camera };
+    saved.polypieces = this.polyPieces.map((pp) => ({
+      x: mround(pp.x),
+      y: mround(pp.y),
+      rot: mround(pp.rot * 10000) / 10000,
+      pieces: pp.pieces.flatMap((p) => [p.kx, p.ky])
+    }));
     return saved;
   }
 }
 
+// ============================================================================
+// Multiplayer
+// ============================================================================
+
+// cursor colors of the players who don't choose one
+const PEER_COLORS = ["tomato", "dodgerblue", "mediumseagreen", "orange", "orchid", "turquoise", "gold", "salmon"];
+// largest time between two cursor messages, in ms
+const CURSOR_INTERVAL = 50;
+// shortest time between two recorded positions of a dragged piece or of the view, in ms
+const RECORD_INTERVAL = 50;
+
+/**
+ * Transport between players on the same device, e.g. several tabs, using BroadcastChannel.
+ * Any object with the same three methods can carry the game over WebSocket or WebRTC:
+ * send(message) delivers a JSON-serialisable object to every other player,
+ * onMessage(handler) registers the function receiving their messages, close() disconnects.
+ */
+export class BroadcastChannelTransport {
+  constructor(name = "jigsaw-puzzle") {
+    this.channel = new BroadcastChannel(name);
+  }
+
+  send(message) {
+    this.channel.postMessage(message);
+  }
+
+  onMessage(handler) {
+    this.channel.onmessage = (event) => handler(event.data);
+  }
+
+  close() {
+    this.channel.close();
+  }
+}
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+// slot of save() and load() without a name
+const DEFAULT_SLOT = "default";
+// localStorage key of the game saved before there were slots
+const LEGACY_SAVE_KEY = "savepuzzle";
+// slot of the autosave option, and time from the last change to the autosave, in ms
+const AUTOSAVE_SLOT = "autosave";
+const AUTOSAVE_DELAY = 1000;
+
+/**
+ * Save slots in localStorage, one key per slot. Any object with the same four async methods
+ * can store them elsewhere: get(name) resolves to what set(name, value) stored or null,
+ * list() to the names, remove(name) deletes one. Values are plain JSON-serialisable objects.
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {string} prefix - Start of the localStorage keys, different puzzles on one site
+   *   can use different prefixes (default: "jigsaw-puzzle/")
+   */
+  constructor(prefix = "jigsaw-puzzle/") {
+    this.prefix = prefix;
+  }
+
+  async get(name) {
+    const item = localStorage.getItem(this.prefix + name);
+    return item === null ? null : JSON.parse(item);
+  }
+
+  async set(name, value) {
+    localStorage.setItem(this.prefix + name, JSON.stringify(value));
+  }
+
+  async list() {
+    const names = [];
+    for (let k = 0; k < localStorage.length; k++) {
+      const key = localStorage.key(k);
+      if (key.startsWith(this.prefix)) names.push(key.slice(this.prefix.length));
+    }
+    return names;
+  }
+
+  async remove(name) {
+    localStorage.removeItem(this.prefix + name);
+  }
+}
+
+/**
+ * Save slots in an IndexedDB object store, for large saves or many slots
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {string} name - Name of the database (default: "jigsaw-puzzle")
+   */
+  constructor(name = "jigsaw-puzzle") {
+    this.name = name;
+    this.db = null; // promise of the open database
+  }
+
+  _open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore("saves");
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async _request(mode, run) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = run(db.transaction("saves", mode).objectStore("saves"));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async get(name) {
+    return (await this._request("readonly", (store) => store.get(name))) ?? null;
+  }
+
+  async set(name, value) {
+    await this._request("readwrite", (store) => store.put(value, name));
+  }
+
+  async list() {
+    return this._request("readonly", (store) => store.getAllKeys());
+  }
+
+  async remove(name) {
+    await this._request("readwrite", (store) => store.delete(name));
+  }
+}
+
+function normalizeStorage(storage) {
+  if (!storage || !["get", "set", "list", "remove"].every((method) => typeof storage[method] === "function")) {
+    throw new Error("storage must have get, set, list and remove methods");
+  }
+  return storage;
+}
+
 // JigsawPuzzle Wrapper Class
 // This will be appended to jigsaw-puzzle-class.js
 
@@ -1273,12 +2805,63 @@ export class JigsawPuzzle {
     * @param {Object} options - Configuration options
     * @param {string} options.image - Image URL or data URL to use
     * @param {number} options.numPieces - Number of puzzle pieces (default: 20)
-    * @param {number} options.shapeType - Shape type 0-3 (default: 0)
-    * @param {boolean} options.allowRotation - Allow piece rotation (default: false)
+    * @param {number|string|Function} options.shapeType - Shape type 0-3, a name given to
+    *   JigsawPuzzle.registerShape() or a named edge function (default: 0)
+    * @param {boolean|string} options.allowRotation - true for quarter turns, "free" for any
+    *   angle (default: false)
+    * @param {number} options.rotationTolerance - With free rotation, largest angle difference in
+    *   degrees for pieces to join (default: 10)
+    * @param {number|string} options.seed - Seed making the whole game reproducible: cuts,
+    *   piece order, starting rotations and scatter positions (default: random)
+    * @param {string} options.layout - Piece layout: "grid", "hex" or "voronoi" (default: "grid")
+    * @param {number} options.minZoom - Smallest zoom factor of the table (default: 0.2)
+    * @param {number} options.maxZoom - Largest zoom factor of the table (default: 5)
+    * @param {number} options.pixelRatio - Highest device pixel ratio to render at, lower it to
+    *   save memory on low-end devices (default: window.devicePixelRatio)
+    * @param {Object} options.theme - Colors and sizes of selection glow, merge flash, shadow,
+    *   emboss and outline, missing properties keep their defaults (see DEFAULT_THEME)
+    * @param {string} options.renderer - "dom" for one <canvas> per piece, "canvas" to draw
+    *   all pieces on a single canvas, faster for large puzzles (default: "dom")
     * @param {Function} options.onReady - Callback when puzzle is ready (image loaded, state 15)
-    * @param {Function} options.onWin - Callback when puzzle is solved
+    * @param {Function} options.onWin - Callback when puzzle is solved, receiving getStats()
     * @param {Function} options.onStart - Callback when game starts
     * @param {Function} options.onStop - Callback when game stops
+    * @param {Function} options.onViewportChange - Callback receiving getViewport() after each pan or zoom
+    * @param {boolean} options.board - Show a frame where the solved picture goes; pieces dropped
+    *   close to their place in it snap there (default: false)
+    * @param {boolean} options.lockOnBoard - Pieces in their place on the board can't be moved
+    *   any more (default: false)
+    * @param {number} options.ghostOpacity - Opacity of the picture shown in the board frame,
+    *   from 0 to 1 (default: 0)
+    * @param {number} options.historyLimit - Number of actions that can be undone (default: 100)
+    * @param {boolean} options.saveHistory - Save the undo history with the game (default: false)
+    * @param {Function} options.onHistoryChange - Callback receiving { canUndo, canRedo } when the
+    *   history changes
+    * @param {Function} options.onHint - Callback receiving { mode, hintCount } after each hint given
+    * @param {number} options.timeLimit - Countdown in seconds, the game is lost when it runs out
+    *   (default: none)
+    * @param {number} options.moveLimit - Number of moves allowed, the game is lost when they are
+    *   used up and the puzzle isn't joined (default: none)
+    * @param {number} options.par - Expected number of moves, getStats().overPar tells how many
+    *   more were made (default: none)
+    * @param {Function} options.onProgress - Callback receiving getStats() after each move, join
+    *   and hint, and every second of play
+    * @param {Function} options.onLose - Callback receiving { reason, stats } when the time or
+    *   moves run out, reason is "time" or "moves"
+    * @param {Function} options.onPeersChange - Callback receiving the other players as
+    *   [{ id, name, color }] when one joins or leaves (see connect())
+    * @param {boolean} options.record - Record each game for getRecording() (default: false)
+    * @param {Function} options.onReplayProgress - Callback receiving { time, duration, speed,
+    *   paused } on each frame of a replay
+    * @param {Object} options.storage - Where save slots go: LocalStorageAdapter,
+    *   IndexedDBAdapter or any object with async get, set, list and remove
+    *   (default: new LocalStorageAdapter())
+    * @param {boolean} options.autosave - Save the game in progress to the "autosave" slot after
+    *   each change and when the page is hidden (default: false)
+    * @param {Function} options.onRecoverableSession - Callback receiving the listSaves() data of
+    *   an unfinished autosaved game, just before onReady (see recover())
+    * @param {Function} options.onAutosaveError - Callback receiving the error when the autosave
+    *   slot can't be written or deleted, e.g. storage full (default: logged to the console)
     */
   constructor(containerId, options = {}) {
     const container = typeof containerId === "string"
@@ -1293,37 +2876,132 @@ export class JigsawPuzzle {
     this.options = {
       image: options.image || null,
       numPieces: options.numPieces || 20,
-      shapeType: options.shapeType || 0,
-      allowRotation: options.allowRotation || false,
+      shapeType: normalizeShapeType(options.shapeType || 0),
+      allowRotation: normalizeRotation(options.allowRotation || false),
+      rotationTolerance: options.rotationTolerance ?? 10,
+      layout: normalizeLayout(options.layout || "grid"),
+      seed: options.seed ?? null,
+      renderer: normalizeRenderer(options.renderer || "dom"),
+      pixelRatio: options.pixelRatio || null,
+      theme: normalizeTheme(options.theme || {}),
+      minZoom: options.minZoom || 0.2,
+      maxZoom: options.maxZoom || 5,
       onReady: options.onReady || null,
       onWin: options.onWin || null,
       onStart: options.onStart || null,
-      onStop: options.onStop || null
+      onStop: options.onStop || null,
+      onViewportChange: options.onViewportChange || null,
+      board: options.board || false,
+      lockOnBoard: options.lockOnBoard || false,
+      ghostOpacity: normalizeGhostOpacity(options.ghostOpacity ?? 0),
+      historyLimit: options.historyLimit ?? 100,
+      saveHistory: options.saveHistory || false,
+      onHistoryChange: options.onHistoryChange || null,
+      onHint: options.onHint || null,
+      timeLimit: options.timeLimit || null,
+      moveLimit: options.moveLimit || null,
+      par: options.par || null,
+      onProgress: options.onProgress || null,
+      onLose: options.onLose || null,
+      onPeersChange: options.onPeersChange || null,
+      record: options.record || false,
+      onReplayProgress: options.onReplayProgress || null,
+      storage: normalizeStorage(options.storage || new LocalStorageAdapter()),
+      autosave: options.autosave || false,
+      onRecoverableSession: options.onRecoverableSession || null,
+      onAutosaveError: options.onAutosaveError || null
     };
 
     // Create internal puzzle instance
     this.puzzle = new InternalPuzzle(container);
     this.puzzle.nbPieces = this.options.numPieces;
     this.puzzle.rotationAllowed = this.options.allowRotation;
+    this.puzzle.rotationTolerance = this.options.rotationTolerance;
     this.puzzle.typeOfShape = this.options.shapeType;
+    this.puzzle.layout = this.options.layout;
+    this.puzzle.seed = this.options.seed;
+    this.puzzle.rendererType = this.options.renderer;
+    this.puzzle.pixelRatio = this.options.pixelRatio;
+    this.puzzle.theme = this.options.theme;
+    this.puzzle.minZoom = this.options.minZoom;
+    this.puzzle.maxZoom = this.options.maxZoom;
+    this.puzzle.showBoard = this.options.board;
+    this.puzzle.ghostOpacity = this.options.ghostOpacity;
+    this.puzzle.onViewportChange = (viewport) => {
+      this._recordOp({ type: "view", view: viewport });
+      if (this.options.onViewportChange) this.options.onViewportChange(viewport);
+    };
 
     // Animation state
     this.events = [];
     this.state = 0;
-    this.moving = {};
+    this.sessions = new Map(); // pointer id or "keyboard" -> drag, pan or pinch in progress
+    this.flashes = new Map(); // merged polypiece -> end of its merge flash
+    this.selection = new Set(); // marked polypieces, moving together
+    this.marquee = null;
+
+    // Undo history: { before, after } polypiece states, or { view: { before, after } }
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastViewRecord = null; // close pans and zooms make one entry
+
+    // Session stats, elapsed in ms without the time the page was hidden
+    this.stats = { elapsed: 0, moves: 0, rotations: 0, merges: 0, hints: 0 };
+    this.clockStart = null; // start of the play time not yet in stats.elapsed
+    this.lastSecond = 0; // whole seconds of play reported to onProgress
+
+    // Hints
+    this.hints = new Map(); // hinted polypiece -> end of its glow
+    this.hintTarget = null; // { element, rect, tEnd }: board area pulsing for hint("target")
+    this.sliding = new Map(); // polypiece moved by a tray command -> end of its animation
+
+    // Multiplayer, see connect()
+    this.transport = null;
+    this.user = null; // { id, name, color } of the local player
+    this.peers = new Map(); // user id -> { id, name, color, cursor, element }
+    this.locks = new Map(); // id of a polypiece dragged by another player -> { user, t }
+    this.syncPending = false; // waiting for the table of the other players
+    this.tableId = null; // seed, image and build time of the table, sent with every operation
+    this.joining = null; // id of the table being built when it came from another player
+    this.tableToSend = false; // the table being built goes to the other players once in play
+    this.lastCursor = { x: null, y: null, t: 0 };
+
+    // Recording, see getRecording(), and replay, see replay()
+    this.recording = null; // { start, t0, ops }: table and play time at the start, operations
+    this.replaying = null; // { recording, duration, start, time, next, speed, paused, last }
     this.tmpImage = null;
     this.lastMousePos = { x: 0, y: 0 };
-    this.useMouse = true;
     this.playing = false;
     this.animationFrameId = null;
     this.restoredState = null;
     this.restoredString = "";
+    this.replacedImage = null; // { src, origin } of the image until the saved one has loaded
+    this.saveCallback = null; // save() callback waiting for state 120
+    this.autosaveTimer = null;
+    this.autosaved = false; // the autosave slot holds the game in progress
+    this.recovering = false; // the saved game being loaded comes from the autosave slot
+    // game autosaved by an earlier visit and not finished, offered when the puzzle is ready:
+    // the puzzle waits for it
+    this.recoverable = null;
+    this.recoveryCheck = this.options.autosave
+      ? this.options.storage.get(AUTOSAVE_SLOT).then((record) => record && record.meta, () => null)
+        .then((meta) => {
+          this.recoverable = meta;
+          this.recoveryCheck = null;
+        })
+      : null;
+
+    // Keyboard play
+    this.cursor = null; // polypiece chosen with the keyboard
+    this.keyboardActive = false; // cursor shown until the mouse or touch is used
+    this.liveRegion = null; // screen reader announcements
 
     // Setup event handlers
     this._setupEventHandlers();
 
     // Setup image load handler
     this.puzzle.srcImage.addEventListener("load", () => this._imageLoaded());
+    this.puzzle.srcImage.addEventListener("error", () => this.events.push({ event: "srcImageError" }));
 
     // Setup resize handler
     window.addEventListener("resize", () => {
@@ -1331,6 +3009,20 @@ export class JigsawPuzzle {
       this.events.push({ event: "resize" });
     });
 
+    // The clock stops while the page is hidden, it starts again with the next frame.
+    // Hidden pages may never come back, the autosave can't wait
+    this.visibilityHandler = () => {
+      if (!document.hidden) return;
+      this._pauseClock();
+      this._autosave();
+    };
+    this.autosaveHandler = () => this._autosave();
+    document.addEventListener("visibilitychange", this.visibilityHandler);
+    window.addEventListener("pagehide", this.autosaveHandler);
+
+    // Re-render when the device pixel ratio changes (window moved to another monitor, browser zoom)
+    this._watchPixelRatio();
+
     // Load initial image if provided
     if (this.options.image) {
       this.setImage(this.options.image);
@@ -1344,96 +3036,1620 @@ export class JigsawPuzzle {
     const puzzle = this.puzzle;
     const container = puzzle.container;
 
-    container.addEventListener("mousedown", (event) => {
-      this.useMouse = true;
+    // keyboard play: the container takes the focus and announces through a live region
+    if (!container.hasAttribute("tabindex")) container.tabIndex = 0;
+    if (!container.hasAttribute("role")) container.setAttribute("role", "application");
+    if (!container.hasAttribute("aria-label")) {
+      container.setAttribute("aria-label", "Jigsaw puzzle, press H for keyboard help");
+    }
+    this._announce("");
+
+    container.addEventListener("keydown", (event) => {
+      if ((event.ctrlKey || event.metaKey) && ["z", "Z", "y", "Y"].includes(event.key)) {
+        event.preventDefault();
+        const redo = event.key === "y" || event.key === "Y" || event.shiftKey;
+        this.events.push({ event: redo ? "redo" : "undo" });
+        return;
+      }
+      if (!PLAY_KEYS.has(event.key) || event.ctrlKey || event.metaKey) return;
+      event.preventDefault();
+      this.events.push({
+        event: "key",
+        key: event.key,
+        shiftKey: event.shiftKey,
+        altKey: event.altKey
+      });
+    });
+    container.addEventListener("blur", () => this._setKeyboardActive(false));
+
+    // every touch goes to the pointer events, without browser panning or zooming
+    container.style.touchAction = "none";
+
+    container.addEventListener("pointerdown", (event) => {
+      event.preventDefault();
+      container.focus({ preventScroll: true });
+      this._setKeyboardActive(false);
+      if (event.pointerType === "mouse" && event.button !== 0) return;
+      // keep receiving the moves of this pointer when it leaves the container
+      container.setPointerCapture(event.pointerId);
+      this.events.push({
+        event: "down",
+        id: event.pointerId,
+        position: puzzle.relativeMouseCoordinates(event),
+        pointerType: event.pointerType,
+        shiftKey: event.shiftKey
+      });
+    });
+
+    container.addEventListener("pointermove", (event) => {
       event.preventDefault();
-      if (event.button !== 0) return;
+      const position = puzzle.relativeMouseCoordinates(event);
+      if (event.pointerType === "mouse") this.lastMousePos = position;
+      if (!event.buttons) return;
+      // at most one pending move per pointer
+      for (let k = this.events.length - 1; k >= 0 && this.events[k].event === "move"; --k) {
+        if (this.events[k].id === event.pointerId) {
+          this.events[k].position = position;
+          return;
+        }
+      }
+      this.events.push({ event: "move", id: event.pointerId, position });
+    });
+
+    const handleUp = (event) => {
       this.events.push({
-        event: "touch",
-        position: puzzle.relativeMouseCoordinates(event)
+        event: "up",
+        id: event.pointerId,
+        cancel: event.type === "pointercancel"
+      });
+    };
+    container.addEventListener("pointerup", handleUp);
+    container.addEventListener("pointercancel", handleUp);
+
+    container.addEventListener("wheel", (event) => {
+      event.preventDefault();
+      if (this.events.length && this.events[this.events.length - 1].event === "wheel")
+        this.events.pop();
+      this.events.push({ event: "wheel", wheel: event });
+    });
+  }
+
+  /**
+   * A pointer pressed on a piece drags it, with the other marked pieces if it is marked.
+   * On the table it pans, two pointers on the table pinch. With Shift, or after a long
+   * press on the table, it draws a marquee marking pieces instead.
+   */
+  _pointerDown(event, tStamp) {
+    const puzzle = this.puzzle;
+    if (this.sessions.has(event.id)) this._pointerUp({ id: event.id, cancel: true }, tStamp);
+    // dragging works on the table, panning and pinching in the container
+    const position = puzzle.toWorld(event.position);
+    const pp = this._pieceAt(event.position);
+    if (!pp || this._isLocked(pp)) {
+      const session = {
+        id: event.id,
+        kind: "table",
+        position: event.position,
+        tInit: tStamp,
+        viewInit: { ...puzzle.camera }
+      };
+      this.sessions.set(event.id, session);
+      if (event.shiftKey) this._startMarquee(session, true);
+      return;
+    }
+    if (event.shiftKey) {
+      if (!this._isHeld(pp)) this._setMarked(pp, !this.selection.has(pp));
+      return;
+    }
+    const holder = this._holder(pp);
+    if (holder) {
+      // with free rotation, a second finger on a dragged piece twists it
+      if (puzzle.rotationAllowed === "free" && holder.pointerType === "touch") {
+        this.sessions.set(event.id, { id: event.id, kind: "twist", drag: holder, position: event.position });
+      }
+      return;
+    }
+    if (!this.selection.has(pp)) this._clearSelection();
+    this._pickUp(pp, {
+      id: event.id,
+      kind: "drag",
+      pointerType: event.pointerType,
+      position: event.position,
+      last: position,
+      tInit: tStamp
+    });
+  }
+
+  // topmost polypiece under a point of the container
+  _pieceAt(position) {
+    const p = this.puzzle.toWorld(position);
+    return [...this.puzzle.hitIndex.query({ x: p.x, y: p.y, right: p.x, bottom: p.y })]
+      .sort((pp1, pp2) => pp2.zIndex - pp1.zIndex)
+      .find((pp) => pp.isPointInPath(p));
+  }
+
+  _pointerMove(event) {
+    const puzzle = this.puzzle;
+    const session = this.sessions.get(event.id);
+    if (!session) return;
+    if (session.kind === "drag") {
+      const position = puzzle.toWorld(event.position);
+      this._moveHeld(session, position.x - session.last.x, position.y - session.last.y);
+      session.last = position;
+      session.position = event.position;
+      return;
+    }
+    if (session.kind === "twist") {
+      // turns the pieces around the dragging finger as much as the line between the fingers turned
+      const drag = session.drag;
+      if (this.sessions.get(drag.id) === drag) {
+        const a0 = Math.atan2(session.position.y - drag.position.y, session.position.x - drag.position.x);
+        const a1 = Math.atan2(event.position.y - drag.position.y, event.position.x - drag.position.x);
+        this._rotateHeld(drag, ((a1 - a0) * 2) / Math.PI, drag.last);
+      }
+      session.position = event.position;
+      return;
+    }
+    if (session.kind === "marquee") {
+      session.position = event.position;
+      this._drawMarquee(session);
+      return;
+    }
+    // past a few pixels the pointer pans, and a long press can't start a marquee any more
+    if (!session.moved) {
+      const d = mhypot(event.position.x - session.position.x, event.position.y - session.position.y);
+      if (d < 8) return;
+      session.moved = true;
+    }
+    const table = [...this.sessions.values()].filter((other) => other.kind === "table");
+    const k = table.indexOf(session);
+    if (table.length === 1) {
+      puzzle.sweepBy(
+        event.position.x - session.position.x,
+        event.position.y - session.position.y
+      );
+    } else if (k < 2) {
+      // pinch with the first two pointers: zoom with their distance, pan with their centre
+      const other = table[1 - k].position;
+      const dInit = mhypot(session.position.x - other.x, session.position.y - other.y);
+      const d = mhypot(event.position.x - other.x, event.position.y - other.y);
+      const dRef = msqrt(puzzle.contWidth * puzzle.contHeight) / 5;
+      puzzle.zoomBy(Math.exp((d - dInit) / dRef), {
+        x: (event.position.x + other.x) / 2,
+        y: (event.position.y + other.y) / 2
+      });
+      puzzle.sweepBy(
+        (event.position.x - session.position.x) / 2,
+        (event.position.y - session.position.y) / 2
+      );
+    }
+    session.position = event.position;
+  }
+
+  _pointerUp(event, tStamp) {
+    const session = this.sessions.get(event.id);
+    if (!session) return;
+    this.sessions.delete(event.id);
+    if (session.kind === "marquee") {
+      this._endMarquee(session);
+      return;
+    }
+    if (session.kind === "table") {
+      // a tap on the table unmarks everything
+      if (session.moved) this._recordView(session.viewInit, tStamp);
+      else if (!event.cancel) this._clearSelection();
+      return;
+    }
+    if (session.kind === "twist") return;
+    if (!event.cancel && this.puzzle.rotationAllowed && tStamp < session.tInit + 250) {
+      this._rotateHeld(session);
+    }
+    this._release(session, tStamp);
+  }
+
+  // a single pointer held still on the table for a while draws a marquee
+  _checkLongPress(tStamp) {
+    const table = [...this.sessions.values()].filter((session) => session.kind === "table");
+    if (table.length === 1 && !table[0].moved && tStamp > table[0].tInit + 500) {
+      this._startMarquee(table[0], false);
+    }
+  }
+
+  _startMarquee(session, adding) {
+    session.kind = "marquee";
+    session.start = session.position;
+    session.adding = adding;
+    this.marquee = document.createElement("div");
+    this.marquee.className = "puzzleMarquee";
+    Object.assign(this.marquee.style, {
+      position: "absolute",
+      boxSizing: "border-box",
+      border: `1px dashed ${this.puzzle.theme.markColor}`,
+      pointerEvents: "none",
+      zIndex: 100000
+    });
+    this.puzzle.container.appendChild(this.marquee);
+    this._drawMarquee(session);
+  }
+
+  _marqueeRect(session) {
+    return {
+      x: mmin(session.start.x, session.position.x),
+      y: mmin(session.start.y, session.position.y),
+      right: mmax(session.start.x, session.position.x),
+      bottom: mmax(session.start.y, session.position.y)
+    };
+  }
+
+  _drawMarquee(session) {
+    const rect = this._marqueeRect(session);
+    this.marquee.style.left = `${rect.x}px`;
+    this.marquee.style.top = `${rect.y}px`;
+    this.marquee.style.width = `${rect.right - rect.x}px`;
+    this.marquee.style.height = `${rect.bottom - rect.y}px`;
+  }
+
+  // marks the pieces whose centre is in the marquee, on top of the marked pieces with Shift
+  _endMarquee(session) {
+    const puzzle = this.puzzle;
+    this.marquee.remove();
+    this.marquee = null;
+    const rect = this._marqueeRect(session);
+    const p0 = puzzle.toWorld(rect);
+    const p1 = puzzle.toWorld({ x: rect.right, y: rect.bottom });
+    const inside = [...puzzle.hitIndex.query({ x: p0.x, y: p0.y, right: p1.x, bottom: p1.y })]
+      .filter((pp) => {
+        const center = this._center(pp);
+        return !this._isHeld(pp) && !this._isLocked(pp) &&
+          center.x >= p0.x && center.x <= p1.x && center.y >= p0.y && center.y <= p1.y;
+      });
+    if (!session.adding) this._clearSelection();
+    inside.forEach((pp) => this._setMarked(pp, true));
+    this._announce(`${this.selection.size} marked`);
+  }
+
+  _setMarked(pp, marked) {
+    if (marked && this._isLocked(pp)) return;
+    if (marked) this.selection.add(pp);
+    else this.selection.delete(pp);
+    if (pp.marked === marked) return;
+    pp.marked = marked;
+    pp.drawImage();
+  }
+
+  _clearSelection() {
+    this.selection.forEach((pp) => {
+      pp.marked = false;
+      if (this.puzzle.polyPieces.includes(pp)) pp.drawImage();
+    });
+    this.selection.clear();
+  }
+
+  // picks up pp, or every marked piece if pp is marked, unless someone else holds one of them
+  _pickUp(pp, session) {
+    const puzzle = this.puzzle;
+    const group = this.selection.has(pp) ? [...this.selection] : [pp];
+    if (group.some((member) => this._isHeld(member) || this._isLocked(member))) return false;
+    session.pp = pp;
+    session.members = group.map((member) => ({
+      pp: member,
+      xInit: member.x,
+      yInit: member.y,
+      rotInit: member.rot
+    }));
+    this.sessions.set(session.id, session);
+    group.forEach((member) => {
+      this.flashes.delete(member);
+      this._stopSliding(member);
+      puzzle.polyPieces.splice(puzzle.polyPieces.indexOf(member), 1);
+      puzzle.polyPieces.push(member);
+      member.setZIndex(puzzle.zIndexSup);
+      member.selected = true;
+      member.drawImage();
+    });
+    session.grabT = Date.now();
+    const ids = group.map((member) => member.id);
+    this._emit({ type: "grab", ids, t: session.grabT });
+    this._recordOp({ type: "grab", ids });
+    return true;
+  }
+
+  _moveHeld(session, dx, dy) {
+    session.members.forEach(({ pp }) => pp.moveTo(pp.x + dx, pp.y + dy));
+    this._emitHeld("move", session);
+  }
+
+  /**
+   * Turns the held pieces clockwise by some quarter turns, around a point of the table
+   * (default: the centre of their bounding box)
+   */
+  _rotateHeld(session, turns = 1, pivot = null) {
+    if (!pivot) {
+      const rects = session.members.map(({ pp }) => pp.getRect());
+      pivot = {
+        x: (mmin(...rects.map((rect) => rect.x)) + mmax(...rects.map((rect) => rect.right))) / 2,
+        y: (mmin(...rects.map((rect) => rect.y)) + mmax(...rects.map((rect) => rect.bottom))) / 2
+      };
+    }
+    const { c, s } = rotationCosSin(turns);
+    session.members.forEach(({ pp }) => {
+      const center = this._center(pp);
+      const dx = center.x - pivot.x;
+      const dy = center.y - pivot.y;
+      pp.rotate(pp.rot + turns);
+      pp.moveTo(
+        pivot.x + c * dx - s * dy - pp.width / 2,
+        pivot.y + s * dx + c * dy - pp.height / 2
+      );
+    });
+    if (session.members.length === 1 && turns === 1) session.pp.coerceToContainer();
+    this._emitHeld("rotate", session);
+  }
+
+  // free rotation step of the keyboard and Alt + wheel, in quarter turns
+  _rotationStep(reverse) {
+    return (reverse ? -15 : 15) / 90;
+  }
+
+  // Alt + wheel turns the piece dragged with the mouse, or the piece under the mouse
+  _wheelRotate(wheel, tStamp) {
+    const turns = this._rotationStep(wheel.deltaY < 0);
+    const dragged = [...this.sessions.values()].find((session) =>
+      session.members && session.pointerType === "mouse");
+    if (dragged) {
+      this._rotateHeld(dragged, turns, dragged.last);
+      return;
+    }
+    const pp = this._pieceAt(this.lastMousePos);
+    if (!pp) return;
+    if (!this.selection.has(pp)) this._clearSelection();
+    const session = { id: "wheel", kind: "drag", tInit: tStamp };
+    if (!this._pickUp(pp, session)) return;
+    this.sessions.delete("wheel");
+    this._rotateHeld(session, turns, this.puzzle.toWorld(this.lastMousePos));
+    this._release(session, tStamp);
+  }
+
+  // drops the held pieces: a single piece joins the pieces it fits, marked pieces never do
+  _release(session, tStamp) {
+    if (this.puzzle.rotationAllowed === "free") {
+      session.members.forEach(({ pp }) => pp.snapRotation());
+    }
+    // pieces placed by hint() count as hints, not moves
+    if (session.id !== "hint") this._countMove(session);
+    // for the history: the held pieces as picked up, then the pieces they joined
+    const before = session.members.map(({ pp, xInit, yInit, rotInit }) =>
+      this._polyState(pp, xInit, yInit, rotInit));
+    // for the other players: where they were dropped, then what the drop changed
+    const dropped = session.members.map(({ pp }) => this._polyState(pp));
+    this._emitHeld("drop", session);
+    let merged = false;
+    session.joined = [];
+    if (session.members.length === 1) {
+      merged = this._dropPiece(session, tStamp);
+    } else {
+      session.members.forEach(({ pp }) => {
+        this._snapToBoard(pp);
+        pp.selected = false;
+        pp.drawImage();
       });
+      this.puzzle.evaluateZIndex();
+      this._raiseHeld();
+    }
+    const after = session.members.length === 1
+      ? [this._polyState(session.pp)]
+      : session.members.map(({ pp }) => this._polyState(pp));
+    this._record([...before, ...session.joined], after);
+    this._emitChange(session.joined.length ? "merge" : "update", [...dropped, ...session.joined], after);
+    this._progress();
+    return merged;
+  }
+
+  // moves pp to its place on the board if it is close enough
+  _snapToBoard(pp) {
+    if (!pp.ifNearBoard() || pp.isOnBoard()) return false;
+    pp.rotate(0);
+    pp.moveToInitialPlace();
+    return true;
+  }
+
+  _isLocked(pp) {
+    return this.options.lockOnBoard && pp.isOnBoard();
+  }
+
+  // puts the held pieces back as they were when picked up
+  _putBack(session) {
+    session.members.forEach(({ pp, xInit, yInit, rotInit }) => {
+      pp.rotate(rotInit);
+      pp.moveTo(xInit, yInit);
+      pp.selected = false;
+      pp.drawImage();
     });
+    this._emitHeld("drop", session);
+    this.puzzle.evaluateZIndex();
+    this._raiseHeld();
+  }
+
+  _holder(pp) {
+    for (const session of this.sessions.values()) {
+      if (session.members && session.members.some((member) => member.pp === pp)) return session;
+    }
+    return null;
+  }
+
+  // held here or by another player
+  _isHeld(pp) {
+    return !!this._holder(pp) || this.locks.has(pp.id);
+  }
+
+  // after evaluateZIndex(), pieces being dragged stay on top
+  _raiseHeld() {
+    this.sessions.forEach((session) => {
+      if (!session.members) return;
+      session.members.forEach(({ pp }) => pp.setZIndex(this.puzzle.zIndexSup));
+    });
+  }
+
+  /**
+   * Drops session.pp and joins it with every piece it now fits, except pieces other
+   * pointers hold, and snaps it to its place on the board if it is close to it. Returns true
+   * if it was joined or placed on the board; it then flashes for a while.
+   */
+  _dropPiece(session, tStamp) {
+    const puzzle = this.puzzle;
+    let pp = session.pp;
+    pp.selected = false;
+    pp.drawImage();
+    let merged = false;
+    let placed = false;
+    let doneSomething;
+    do {
+      doneSomething = false;
+      for (const other of pp.nearCandidates()) {
+        if (this._isHeld(other) || !pp.ifNear(other)) continue;
+        merged = true;
+        this.stats.merges++;
+        if (session.joined) session.joined.push(this._polyState(other));
+        if (other.pieces.length > pp.pieces.length) {
+          other.merge(pp);
+          pp = other;
+        } else {
+          pp.merge(other);
+        }
+        doneSomething = true;
+        break;
+      }
+      // placed on the board, it may fit pieces already there
+      if (!doneSomething && this._snapToBoard(pp)) {
+        placed = true;
+        doneSomething = true;
+      }
+    } while (doneSomething);
+    session.pp = pp;
+    // marked pieces joined into another one are gone
+    this.selection.forEach((member) => {
+      if (!puzzle.polyPieces.includes(member)) this.selection.delete(member);
+    });
+    puzzle.evaluateZIndex();
+    this._raiseHeld();
+    if (this.keyboardActive) this._setCursor(pp);
+    if (merged || placed) {
+      const done = (puzzle.pieceCount - puzzle.polyPieces.length) / (puzzle.pieceCount - 1);
+      this._announce(merged ? `Joined, ${mround(done * 100)}% done` : "Placed on the board");
+      pp.selected = true;
+      pp.drawImage(true);
+      this.flashes.set(pp, tStamp + 500);
+    }
+    return merged || placed;
+  }
+
+  // ============================================================================
+  // Undo history
+  // ============================================================================
+
+  // what undo needs to rebuild a polypiece: position, angle and pieces as [kx, ky, kx, ky...]
+  _polyState(pp, x = pp.x, y = pp.y, rot = pp.rot) {
+    const pieces = [];
+    pp.pieces.forEach((piece) => pieces.push(piece.kx, piece.ky));
+    return { x, y, rot, pieces };
+  }
+
+  _stateId(state) {
+    return state.pieces[0] + "," + state.pieces[1];
+  }
+
+  _record(before, after) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    this._pushHistory({ before, after });
+    this._scheduleAutosave();
+  }
+
+  _recordView(before, tStamp) {
+    const after = { ...this.puzzle.camera };
+    if (before.x === after.x && before.y === after.y && before.zoom === after.zoom) return;
+    const last = this.lastViewRecord;
+    if (last && last.command === this.undoStack[this.undoStack.length - 1] && tStamp - last.t < 1000) {
+      last.command.view.after = after;
+      last.t = tStamp;
+      this.redoStack = [];
+      this._historyChanged();
+      return;
+    }
+    const command = { view: { before, after } };
+    this._pushHistory(command);
+    this.lastViewRecord = { command, t: tStamp };
+  }
+
+  _pushHistory(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.options.historyLimit) this.undoStack.shift();
+    this.redoStack = [];
+    this._historyChanged();
+  }
+
+  _historyChanged() {
+    if (this.options.onHistoryChange) {
+      this.options.onHistoryChange({ canUndo: this.canUndo(), canRedo: this.canRedo() });
+    }
+  }
+
+  _undo(redo) {
+    // not while pieces are held
+    for (const session of this.sessions.values()) {
+      if (session.members) return;
+    }
+    const from = redo ? this.redoStack : this.undoStack;
+    const command = from.pop();
+    if (!command) return;
+    if (command.view) {
+      const view = redo ? command.view.after : command.view.before;
+      this.puzzle.setCamera(view.x, view.y, view.zoom);
+    } else {
+      const statesFrom = redo ? command.before : command.after;
+      const statesTo = redo ? command.after : command.before;
+      if (!this._applyStates(statesFrom, statesTo)) {
+        // the table doesn't match the history any more
+        this.undoStack = [];
+        this.redoStack = [];
+        this._historyChanged();
+        return;
+      }
+      this._emitChange("update", statesFrom, statesTo);
+      this._scheduleAutosave();
+    }
+    (redo ? this.undoStack : this.redoStack).push(command);
+    this._historyChanged();
+    if (!command.view) this._progress();
+    this._announce(redo ? "Redone" : "Undone");
+  }
+
+  /**
+   * Replaces the polypieces in the states `from` with the states `to`: moves and turns
+   * polypieces made of the same pieces, splits or joins the others
+   */
+  _applyStates(from, to) {
+    const puzzle = this.puzzle;
+    const current = new Map(puzzle.polyPieces.map((pp) => [pp.id, pp]));
+    if (!from.every((state) => current.get(this._stateId(state))?.pieces.length === state.pieces.length / 2)) {
+      return false;
+    }
+    const targets = new Map(to.map((state) => [this._stateId(state), state]));
+    const kept = new Map();
+    from.forEach((state) => {
+      const pp = current.get(this._stateId(state));
+      const target = targets.get(pp.id);
+      if (target && target.pieces.length === state.pieces.length) {
+        kept.set(pp.id, pp);
+        return;
+      }
+      puzzle.removePolyPiece(pp);
+      this.selection.delete(pp);
+      this.flashes.delete(pp);
+    });
+    to.forEach((state) => {
+      const pp = kept.get(this._stateId(state)) || puzzle.addPolyPiece(state.pieces);
+      pp.rotate(state.rot);
+      pp.moveTo(state.x, state.y);
+    });
+    puzzle.evaluateZIndex();
+    return true;
+  }
+
+  // ============================================================================
+  // Stats and game modes
+  // ============================================================================
+
+  // moving and turning held pieces count once each per drop
+  _countMove(session) {
+    const members = session.members;
+    if (members.some(({ pp, xInit, yInit }) => pp.x !== xInit || pp.y !== yInit)) this.stats.moves++;
+    if (members.some(({ pp, rotInit }) => pp.rot !== rotInit)) this.stats.rotations++;
+  }
+
+  _elapsed() {
+    return this.stats.elapsed + (this.clockStart === null ? 0 : performance.now() - this.clockStart);
+  }
+
+  _pauseClock() {
+    if (this.clockStart === null) return;
+    this.stats.elapsed += performance.now() - this.clockStart;
+    this.clockStart = null;
+  }
+
+  _progress() {
+    if (this.options.onProgress) this.options.onProgress(this.getStats());
+  }
+
+  /**
+   * Runs the clock while playing: reports every second and ends the game when the time or
+   * the moves run out. Returns true if the game was lost.
+   */
+  _tick() {
+    if (this.clockStart === null && !document.hidden) this.clockStart = performance.now();
+    const second = mfloor(this._elapsed() / 1000);
+    if (second !== this.lastSecond) {
+      this.lastSecond = second;
+      this._progress();
+    }
+    const { timeLimit, moveLimit } = this.options;
+    let reason = null;
+    if (timeLimit && this._elapsed() >= timeLimit * 1000) {
+      reason = "time";
+    } else if (moveLimit && this.stats.moves >= moveLimit && this.puzzle.polyPieces.length > 1 &&
+      ![...this.sessions.values()].some((session) => session.members)) {
+      reason = "moves";
+    }
+    if (!reason) return false;
+    this._pauseClock();
+    this.sessions.clear();
+    this._endHints(Infinity);
+    this.playing = false;
+    this._endAutosave();
+    this._announce(reason === "time" ? "Time is up" : "No moves left");
+    if (this.options.onLose) this.options.onLose({ reason, stats: this.getStats() });
+    this.state = 10;
+    return true;
+  }
+
+  // ============================================================================
+  // Multiplayer
+  // ============================================================================
+
+  _emit(operation) {
+    if (!this.transport) return;
+    const { id, name, color } = this.user;
+    this.transport.send({ user: id, name, color, table: this.tableId, ...operation });
+  }
+
+  // grab, move, rotate and drop: where the held pieces are now
+  _emitHeld(type, session) {
+    if (!this.transport && !this.recording) return;
+    const states = session.members.map(({ pp }) => ({ id: pp.id, x: pp.x, y: pp.y, rot: pp.rot }));
+    this._recordOp({ type, states });
+    this._emit({ type, states, ids: states.map((state) => state.id) });
+  }
+
+  // merge and update: polypieces replaced, as _applyStates() does it
+  _emitChange(type, before, after) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    this._recordOp({ type, before, after });
+    this._emit({ type, before, after });
+  }
+
+  _receive(message) {
+    if (message.user === this.user.id || (message.to && message.to !== this.user.id)) return;
+    // only the last position of a dragged piece matters
+    if (message.type === "move" || message.type === "rotate" || message.type === "cursor") {
+      const k = this.events.findIndex((event) => event.event === "remote" &&
+        event.message.user === message.user && event.message.type === message.type);
+      if (k >= 0) {
+        this.events[k] = { event: "remote", message };
+        return;
+      }
+    }
+    this.events.push({ event: "remote", message });
+  }
+
+  /**
+   * Applies an operation of another player. Operations that don't match the table, after
+   * messages were lost or two players joined the same piece at once, resync the whole table.
+   */
+  _remote(message, tStamp) {
+    const puzzle = this.puzzle;
+    this._updatePeer(message);
+    switch (message.type) {
+      case "hello":
+      case "sync-request":
+        if (this.state === 50) this._sendSync(message.user);
+        else if (message.type === "hello") this._emit({ type: "here", to: message.user });
+        return;
+      case "sync":
+        // the answer to joining, or a new table another player built
+        if (message.to ? !this.syncPending : message.table === this.tableId) return;
+        // two players joining each other at once: the smaller user id keeps its table
+        if (message.to && message.pending && message.user > this.user.id) {
+          this.syncPending = false;
+          return;
+        }
+        this.syncPending = false;
+        this.joining = message.table;
+        this.restoredString = JSON.stringify(message.state);
+        this.state = 155;
+        return;
+      case "bye":
+        this._removePeer(message.user);
+        return;
+      case "cursor":
+        this.peers.get(message.user).cursor = message.position;
+        return;
+    }
+    // polypiece ids repeat from one puzzle to the next, operations on another table don't apply
+    if (this.state !== 50 || message.table !== this.tableId) return;
+    const current = new Map(puzzle.polyPieces.map((pp) => [pp.id, pp]));
+    const owned = (message.ids || []).every((id) => this.locks.get(id)?.user === message.user);
+    if (message.type === "grab") {
+      const pps = message.ids.map((id) => current.get(id));
+      if (pps.some((pp) => !pp)) return this._requestSync();
+      // the first one to grab a piece gets it, the user id decides between simultaneous grabs
+      const first = (t, user) => t < message.t || (t === message.t && user < message.user);
+      for (const pp of pps) {
+        const lock = this.locks.get(pp.id);
+        const session = this._holder(pp);
+        if ((lock && first(lock.t, lock.user)) || (session && first(session.grabT, this.user.id))) return;
+      }
+      pps.forEach((pp) => {
+        const session = this._holder(pp);
+        if (session) {
+          this._putBack(session);
+          this.sessions.delete(session.id);
+          this._announce(`${message.name} took this piece`);
+        }
+        this._setMarked(pp, false);
+        this.locks.set(pp.id, { user: message.user, t: message.t });
+        pp.setZIndex(puzzle.zIndexSup);
+      });
+      this._recordOp({ type: "grab", ids: message.ids });
+    } else if (message.type === "move" || message.type === "rotate" || message.type === "drop") {
+      if (!owned) return;
+      if (!message.states.every((state) => current.has(state.id))) return this._requestSync();
+      message.states.forEach((state) => {
+        const pp = current.get(state.id);
+        pp.rotate(state.rot);
+        pp.moveTo(state.x, state.y);
+        if (message.type === "drop") this.locks.delete(state.id);
+      });
+      if (message.type === "drop") {
+        puzzle.evaluateZIndex();
+        this._raiseHeld();
+      }
+      this._recordOp({ type: message.type, states: message.states });
+      if (message.type === "drop") this._scheduleAutosave();
+    } else if (message.type === "merge" || message.type === "update") {
+      // a player dragging pieces changed here loses them
+      const released = [];
+      message.before.forEach((state) => {
+        const session = this._holder(current.get(this._stateId(state)));
+        if (!session) return;
+        this.sessions.delete(session.id);
+        session.members.forEach(({ pp }) => released.push(pp));
+      });
+      const applied = this._applyStates(message.before, message.after);
+      released.forEach((pp) => {
+        pp.selected = false;
+        if (puzzle.polyPieces.includes(pp)) pp.drawImage();
+      });
+      if (!applied) return this._requestSync();
+      this._raiseHeld();
+      this._recordOp({ type: message.type, before: message.before, after: message.after });
+      this._scheduleAutosave();
+      if (message.type === "merge") {
+        const pp = puzzle.polyPieces.find((pp) => pp.id === this._stateId(message.after[0]));
+        pp.selected = true;
+        pp.drawImage(true);
+        this.flashes.set(pp, tStamp + 500);
+        this._progress();
+      }
+    }
+  }
+
+  // the table of a game in progress, for a player joining it, or for everyone when it is new
+  _sendSync(user) {
+    const state = this.puzzle.getStateData();
+    delete state.view; // each player has their own
+    state.locks = [...this.locks];
+    this.sessions.forEach((session) => {
+      if (!session.members) return;
+      session.members.forEach(({ pp }) => state.locks.push([pp.id, { user: this.user.id, t: session.grabT }]));
+    });
+    this._emit({ type: "sync", to: user, pending: this.syncPending, state });
+  }
+
+  _requestSync() {
+    this.syncPending = true;
+    this._emit({ type: "sync-request" });
+  }
+
+  _updatePeer(message) {
+    if (message.type === "bye") return;
+    const peer = this.peers.get(message.user);
+    if (peer) {
+      peer.name = message.name;
+      peer.color = message.color;
+      return;
+    }
+    this.peers.set(message.user, {
+      id: message.user,
+      name: message.name,
+      color: message.color,
+      cursor: null,
+      element: null
+    });
+    this._peersChanged();
+  }
+
+  _removePeer(user) {
+    const peer = this.peers.get(user);
+    if (!peer) return;
+    if (peer.element) peer.element.remove();
+    this.peers.delete(user);
+    this.locks.forEach((lock, id) => {
+      if (lock.user === user) this.locks.delete(id);
+    });
+    this._peersChanged();
+  }
+
+  _peersChanged() {
+    if (this.options.onPeersChange) {
+      this.options.onPeersChange([...this.peers.values()].map(({ id, name, color }) => ({ id, name, color })));
+    }
+  }
+
+  // the mouse position on the table, for the cursors of the other players
+  _sendCursor(tStamp) {
+    if (!this.transport || tStamp < this.lastCursor.t + CURSOR_INTERVAL) return;
+    const position = this.puzzle.toWorld(this.lastMousePos);
+    if (position.x === this.lastCursor.x && position.y === this.lastCursor.y) return;
+    this.lastCursor = { x: position.x, y: position.y, t: tStamp };
+    this._emit({ type: "cursor", position });
+  }
+
+  _drawPeers() {
+    const container = this.puzzle.container;
+    this.peers.forEach((peer) => {
+      if (!peer.cursor) return;
+      if (!peer.element) {
+        peer.element = document.createElement("div");
+        peer.element.className = "puzzlePeerCursor";
+        Object.assign(peer.element.style, {
+          position: "absolute",
+          pointerEvents: "none",
+          zIndex: 100001,
+          font: "12px sans-serif",
+          whiteSpace: "nowrap"
+        });
+      }
+      if (peer.element.parentNode !== container) container.appendChild(peer.element);
+      const position = this.puzzle.toScreen(peer.cursor);
+      peer.element.textContent = `\u25B2 ${peer.name}`;
+      Object.assign(peer.element.style, {
+        left: `${position.x}px`,
+        top: `${position.y}px`,
+        color: peer.color
+      });
+    });
+  }
+
+  // ============================================================================
+  // Save slots and autosave
+  // ============================================================================
+
+  // the game as save() gives it
+  _saveData() {
+    const savedData = this.puzzle.getStateData();
+    if (this.options.saveHistory) {
+      savedData.history = { undo: this.undoStack, redo: this.redoStack };
+    }
+    savedData.stats = { ...this.stats, elapsed: this._elapsed() };
+    return savedData;
+  }
+
+  // what a slot holds: the saved game and what listSaves() tells about it
+  _slotRecord(savedData) {
+    return {
+      meta: {
+        image: this.puzzle.srcImage.src,
+        pieces: this.puzzle.pieceCount,
+        progress: this.getStats().percent,
+        lastPlayed: Date.now()
+      },
+      data: savedData
+    };
+  }
+
+  // a flurry of moves makes one write, a while after the last one
+  _scheduleAutosave() {
+    if (!this.options.autosave) return;
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(() => this._autosave(), AUTOSAVE_DELAY);
+  }
+
+  // straight away rather than through the events, they stop with the page hidden
+  _autosave() {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    if (!this.options.autosave || (this.state !== 50 && this.state !== 120)) return;
+    this.autosaved = true;
+    this.options.storage.set(AUTOSAVE_SLOT, this._slotRecord(this._saveData()))
+      .catch((error) => this._autosaveFailed(error));
+  }
+
+  // the game is over, won, lost or stopped: nothing to recover, if the slot holds this game
+  _endAutosave() {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    if (!this.options.autosave || !this.autosaved) return;
+    this.autosaved = false;
+    this.options.storage.remove(AUTOSAVE_SLOT)
+      .catch((error) => this._autosaveFailed(error));
+  }
+
+  _autosaveFailed(error) {
+    if (this.options.onAutosaveError) this.options.onAutosaveError(error);
+    else console.error("Autosave failed:", error);
+  }
+
+  // ============================================================================
+  // Recording and replay
+  // ============================================================================
+
+  _startRecording() {
+    this.recording = { start: this.puzzle.getStateData(), t0: mround(this._elapsed()), ops: [] };
+    this._recordOp({ type: "view", view: this.puzzle.getViewport() });
+  }
+
+  // the same operations as the other players get, and the views, with their time of play
+  _recordOp(op) {
+    const recording = this.recording;
+    if (!recording || !this.options.record) return;
+    const t = mround(this._elapsed()) - recording.t0;
+    const last = recording.ops[recording.ops.length - 1];
+    const ids = (op) => op.states.map((state) => state.id).join(" ");
+    if (last && last.type === op.type && t < last.t + RECORD_INTERVAL &&
+      (op.type === "view" || (op.type === "move" && ids(op) === ids(last)))) {
+      Object.assign(last, op);
+      return;
+    }
+    recording.ops.push({ t, ...op });
+  }
+
+  // the table of the recording is restored like a saved game, then state 70 plays it
+  _startReplay(event) {
+    const { recording, speed } = event;
+    const lastOp = recording.ops[recording.ops.length - 1];
+    this.replaying = {
+      recording,
+      duration: mmax(recording.duration || 0, lastOp ? lastOp.t : 0),
+      start: null,
+      time: 0,
+      next: 0,
+      speed,
+      paused: false,
+      last: null
+    };
+    this.restoredString = JSON.stringify(recording.start);
+    this.state = 155;
+  }
+
+  _playReplay(tStamp) {
+    const replay = this.replaying;
+    if (!replay.start) replay.start = this.puzzle.polyPieces.map((pp) => this._polyState(pp));
+    const dt = replay.last === null ? 0 : tStamp - replay.last;
+    replay.last = tStamp;
+    if (replay.paused) return;
+    this._seekReplay(mmin(replay.time + dt * replay.speed, replay.duration), tStamp, false);
+    if (replay.time >= replay.duration) {
+      replay.paused = true;
+      this._announce("End of the replay");
+    }
+    this._replayProgress();
+  }
+
+  _controlReplay(event, tStamp) {
+    const replay = this.replaying;
+    if (!replay.start) replay.start = this.puzzle.polyPieces.map((pp) => this._polyState(pp));
+    if (event.speed !== undefined) replay.speed = event.speed;
+    if (event.time !== undefined) {
+      this._seekReplay(mmin(mmax(event.time, 0), replay.duration), tStamp, true);
+    }
+    if (event.paused !== undefined) {
+      replay.paused = event.paused;
+      // playing again from the end starts over
+      if (!replay.paused && replay.time >= replay.duration) this._seekReplay(0, tStamp, true);
+    }
+    this._replayProgress();
+  }
+
+  /**
+   * Plays the operations up to time. Going back starts again from the table at the start of
+   * the recording; joins only flash when the replay plays, not when seeking
+   */
+  _seekReplay(time, tStamp, seeking) {
+    const puzzle = this.puzzle;
+    const replay = this.replaying;
+    const ops = replay.recording.ops;
+    if (time < replay.time) {
+      this._applyStates(puzzle.polyPieces.map((pp) => this._polyState(pp)), replay.start);
+      this.flashes.clear();
+      puzzle.polyPieces.forEach((pp) => {
+        pp.selected = false;
+        pp.drawImage();
+      });
+      replay.next = 0;
+    }
+    while (replay.next < ops.length && ops[replay.next].t <= time) {
+      this._replayOp(ops[replay.next++], tStamp, seeking);
+    }
+    replay.time = time;
+  }
+
+  _replayOp(op, tStamp, seeking) {
+    const puzzle = this.puzzle;
+    if (op.type === "view") {
+      this._showViewport(op.view);
+      return;
+    }
+    if (op.type === "merge" || op.type === "update") {
+      if (!this._applyStates(op.before, op.after) || op.type !== "merge" || seeking) return;
+      const pp = puzzle.polyPieces.find((pp) => pp.id === this._stateId(op.after[0]));
+      pp.selected = true;
+      pp.drawImage(true);
+      this.flashes.set(pp, tStamp + 500);
+      return;
+    }
+    const current = new Map(puzzle.polyPieces.map((pp) => [pp.id, pp]));
+    if (op.type === "grab") {
+      op.ids.forEach((id) => {
+        const pp = current.get(id);
+        if (!pp) return;
+        pp.selected = true;
+        pp.setZIndex(puzzle.zIndexSup);
+        pp.drawImage();
+      });
+      return;
+    }
+    op.states.forEach((state) => {
+      const pp = current.get(state.id);
+      if (!pp) return;
+      pp.rotate(state.rot);
+      pp.moveTo(state.x, state.y);
+      if (op.type === "drop") {
+        pp.selected = false;
+        pp.drawImage();
+      }
+    });
+    if (op.type === "drop") puzzle.evaluateZIndex();
+  }
+
+  // the part of the table the player saw, whatever the size of the container here
+  _showViewport(view) {
+    const puzzle = this.puzzle;
+    const zoom = mmin(
+      mmax(mmin(puzzle.contWidth / view.width, puzzle.contHeight / view.height), puzzle.minZoom),
+      puzzle.maxZoom
+    );
+    puzzle.setViewport({
+      x: view.x + view.width / 2 - puzzle.contWidth / zoom / 2,
+      y: view.y + view.height / 2 - puzzle.contHeight / zoom / 2,
+      zoom
+    });
+  }
+
+  _replayProgress() {
+    if (!this.options.onReplayProgress) return;
+    const { time, duration, speed, paused } = this.replaying;
+    this.options.onReplayProgress({ time: mround(time), duration, speed, paused });
+  }
+
+  // ============================================================================
+  // Tray commands
+  // ============================================================================
+
+  _arrange(command, tStamp) {
+    const puzzle = this.puzzle;
+    // pieces being dragged or locked on the board stay where they are
+    const loose = this._loosePieces().filter((pp) => !this._isHeld(pp) && !this._isLocked(pp));
+    let positions;
+    let message;
+    if (command === "edges") {
+      const edges = loose.filter((pp) => pp.pieces[0].neighbors.some((neighbor) => !neighbor));
+      positions = puzzle.layOutInRows([edges], true);
+      message = `${edges.length} edge pieces gathered`;
+    } else if (command === "color") {
+      const colors = puzzle.pieceColors();
+      if (!colors) {
+        // the image is from another origin without CORS headers
+        this._announce("The colors of this picture can't be read, pieces not sorted");
+        return;
+      }
+      positions = puzzle.layOutInRows(this._colorGroups(loose, colors), false);
+      message = `${loose.length} pieces sorted by color`;
+    } else if (command === "spread") {
+      const movable = new Set(loose);
+      positions = puzzle.separate(
+        puzzle.polyPieces.filter((pp) => !movable.has(pp)),
+        puzzle.polyPieces.filter((pp) => movable.has(pp))
+      );
+      message = `${positions.size} pieces spread`;
+    } else {
+      const step = 1.5 * mmax(puzzle.scalex, puzzle.scaley);
+      positions = puzzle.pileAt(loose, puzzle.offsx - 1.5 * step, puzzle.offsy + puzzle.gameHeight / 2);
+      message = `${loose.length} pieces stacked`;
+    }
+    const before = [];
+    const after = [];
+    positions.forEach((position, pp) => {
+      before.push(this._polyState(pp));
+      // the renderer slides animated pieces to their new place
+      puzzle.renderer.setAnimated(pp, true);
+      this.sliding.set(pp, tStamp + ANIMATION_DURATION + 200);
+      pp.moveTo(position.x, position.y);
+      after.push(this._polyState(pp));
+    });
+    this._record(before, after);
+    this._emitChange("update", before, after);
+    this._announce(message);
+  }
+
+  // pieces in groups of similar hue, greys apart, each sorted from dark to light
+  _colorGroups(polyPieces, colors) {
+    const groups = [];
+    polyPieces.forEach((pp) => {
+      const { r, g, b } = colors.get(pp.pieces[0]);
+      const max = mmax(r, g, b);
+      const min = mmin(r, g, b);
+      let k = 12; // greys
+      if (max - min > 0.15 * max && max > 30) {
+        const hue = max === r ? (g - b) / (max - min) : max === g ? 2 + (b - r) / (max - min) : 4 + (r - g) / (max - min);
+        k = mfloor(((hue + 6) % 6) * 2);
+      }
+      if (!groups[k]) groups[k] = [];
+      groups[k].push({ pp, light: r + g + b });
+    });
+    return groups.filter((group) => group)
+      .map((group) => group.sort((c1, c2) => c1.light - c2.light).map(({ pp }) => pp));
+  }
+
+  _endSliding(tStamp) {
+    this.sliding.forEach((tEnd, pp) => {
+      if (tStamp >= tEnd) this._stopSliding(pp);
+    });
+  }
+
+  _stopSliding(pp) {
+    if (!this.sliding.delete(pp)) return;
+    if (this.puzzle.polyPieces.includes(pp)) this.puzzle.renderer.setAnimated(pp, false);
+  }
+
+  // ============================================================================
+  // Hints
+  // ============================================================================
+
+  _hint(event, tStamp) {
+    const tEnd = tStamp + event.duration;
+    let given;
+    if (event.mode === "target") {
+      const pp = this._hintedPiece();
+      if (pp) {
+        given = true;
+        this._showTarget(pp, tEnd);
+        this._announce("The hint shows where this piece goes");
+      }
+    } else {
+      const pair = this._fittingPair();
+      if (pair && event.mode === "place") {
+        given = true;
+        this._place(pair[0], pair[1], tStamp);
+      } else if (pair) {
+        given = true;
+        pair.forEach((pp) => {
+          this.hints.set(pp, tEnd);
+          pp.hinted = true;
+          pp.drawImage();
+        });
+        this._announce(`${this._describePiece(pair[0])} fits ${this._describePiece(pair[1])}`);
+      }
+    }
+    if (!given) {
+      this._announce("No hint available");
+      return;
+    }
+    this.stats.hints++;
+    if (this.options.onHint) this.options.onHint({ mode: event.mode, hintCount: this.stats.hints });
+    this._progress();
+  }
+
+  // the piece the player is busy with: held, chosen with the keyboard or the only marked one
+  _hintedPiece() {
+    for (const session of this.sessions.values()) {
+      if (session.pp) return session.pp;
+    }
+    if (this.puzzle.polyPieces.includes(this.cursor)) return this.cursor;
+    if (this.selection.size === 1) return [...this.selection][0];
+    return this._fittingPair()?.[0];
+  }
+
+  /**
+   * Two polypieces not held by anyone with pieces side by side in the picture: the piece the
+   * player is busy with if it has such a neighbour, else the smallest polypiece, joining
+   * the largest polypiece next to it
+   */
+  _fittingPair() {
+    const polyPieces = this.puzzle.polyPieces.filter((pp) => !this._isHeld(pp));
+    const owners = new Map();
+    polyPieces.forEach((pp) => pp.pieces.forEach((piece) => owners.set(piece, pp)));
+    const candidates = polyPieces.slice().sort((pp1, pp2) => pp1.pieces.length - pp2.pieces.length);
+    if (owners.has(this.cursor?.pieces[0])) candidates.unshift(this.cursor);
+    for (const pp of candidates) {
+      if (this._isLocked(pp)) continue;
+      let best = null;
+      pp.pieces.forEach((piece) => piece.neighbors.forEach((neighbor) => {
+        const other = owners.get(neighbor);
+        if (other && other !== pp && (!best || other.pieces.length > best.pieces.length)) best = other;
+      }));
+      if (best) return [pp, best];
+    }
+    return null;
+  }
+
+  // pulses the area of the board where pp belongs, until tEnd
+  _showTarget(pp, tEnd) {
+    const puzzle = this.puzzle;
+    if (this.hintTarget) this.hintTarget.element.remove();
+    const element = document.createElement("div");
+    element.className = "puzzleHintTarget";
+    Object.assign(element.style, {
+      position: "absolute",
+      boxSizing: "border-box",
+      border: `3px solid ${puzzle.theme.hintColor}`,
+      pointerEvents: "none",
+      zIndex: 100000
+    });
+    puzzle.container.appendChild(element);
+    this.hintTarget = {
+      element,
+      tEnd,
+      rect: {
+        x: puzzle.offsx + pp.pckxmin * puzzle.scalex,
+        y: puzzle.offsy + pp.pckymin * puzzle.scaley,
+        right: puzzle.offsx + pp.pckxmax * puzzle.scalex,
+        bottom: puzzle.offsy + pp.pckymax * puzzle.scaley
+      }
+    };
+  }
+
+  // turns and moves pp where it fits other, then drops it as the player would
+  _place(pp, other, tStamp) {
+    if (this.selection.has(pp)) this._clearSelection();
+    const session = { id: "hint", kind: "drag" };
+    this._pickUp(pp, session);
+    this.sessions.delete(session.id);
+    pp.rotate(other.rot);
+    const org = pp.getOrgP();
+    const orgOther = other.getOrgP();
+    pp.moveTo(pp.x + orgOther.x - org.x, pp.y + orgOther.y - org.y);
+    this._release(session, tStamp);
+  }
+
+  _endHints(tStamp) {
+    this.hints.forEach((tEnd, pp) => {
+      if (tStamp < tEnd) return;
+      this.hints.delete(pp);
+      pp.hinted = false;
+      if (this.puzzle.polyPieces.includes(pp)) pp.drawImage();
+    });
+    const target = this.hintTarget;
+    if (!target) return;
+    if (tStamp >= target.tEnd) {
+      target.element.remove();
+      this.hintTarget = null;
+      return;
+    }
+    // follows panning and zooming
+    const rect = this.puzzle.toScreenRect(target.rect);
+    Object.assign(target.element.style, {
+      left: `${rect.x}px`,
+      top: `${rect.y}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      opacity: 0.6 + 0.4 * Math.sin(tStamp / 150)
+    });
+  }
+
+  _endFlashes(tStamp) {
+    this.flashes.forEach((tEnd, pp) => {
+      if (tStamp < tEnd) return;
+      this.flashes.delete(pp);
+      if (!this.puzzle.polyPieces.includes(pp) || this._isHeld(pp)) return;
+      pp.selected = false;
+      pp.drawImage();
+    });
+  }
+
+  _isSolved() {
+    const polyPieces = this.puzzle.polyPieces;
+    return polyPieces.length === 1 && polyPieces[0].rot === 0 &&
+      !this.flashes.size && !this._isHeld(polyPieces[0]);
+  }
+
+  _handleKey(event, tStamp) {
+    const puzzle = this.puzzle;
+    const direction = KEY_DIRECTIONS[event.key];
+    const key = event.key.toLowerCase();
+    const held = this.sessions.get("keyboard");
+    this._setKeyboardActive(true);
+
+    if (key === "h" || key === "?") {
+      this._announce(this._keyboardHelp());
+      return;
+    }
+    if (key === "+" || key === "=" || key === "-") {
+      const center = this.cursor
+        ? this._screenCenter(this.cursor)
+        : { x: puzzle.contWidth / 2, y: puzzle.contHeight / 2 };
+      const view = { ...puzzle.camera };
+      puzzle.zoomBy(key === "-" ? 1 / 1.3 : 1.3, center);
+      this._recordView(view, tStamp);
+      return;
+    }
+    if (direction && event.shiftKey && !held) {
+      const view = { ...puzzle.camera };
+      puzzle.sweepBy(-direction.x * puzzle.contWidth / 5, -direction.y * puzzle.contHeight / 5);
+      this._recordView(view, tStamp);
+      return;
+    }
+
+    if (held) {
+      const pp = held.pp;
+      if (direction) {
+        // default steps of dConnect always stop within reach of the right place
+        const step = event.altKey
+          ? { x: 1, y: 1 }
+          : event.shiftKey
+            ? { x: puzzle.scalex, y: puzzle.scaley }
+            : { x: puzzle.dConnect, y: puzzle.dConnect };
+        this._moveHeld(held, direction.x * step.x, direction.y * step.y);
+        this._revealPiece(pp);
+      } else if (key === "r") {
+        if (!puzzle.rotationAllowed) {
+          this._announce("Rotation is off");
+          return;
+        }
+        this._rotateHeld(held, puzzle.rotationAllowed === "free" ? this._rotationStep(event.shiftKey) : 1);
+        this._revealPiece(pp);
+        this._announce(`Turned ${mround(pp.rot * 90) % 360} degrees`);
+      } else if (key === "enter" || key === " ") {
+        this.sessions.delete("keyboard");
+        if (!this._release(held, tStamp)) this._announce("Dropped");
+      } else if (key === "escape") {
+        this.sessions.delete("keyboard");
+        this._putBack(held);
+        this._announce("Put back");
+      }
+      return;
+    }
+
+    // the first key only shows where the cursor is
+    if (!puzzle.polyPieces.includes(this.cursor)) {
+      const loose = this._loosePieces();
+      this._setCursor(loose.length ? loose[0] : puzzle.polyPieces[0]);
+      this._revealPiece(this.cursor);
+      this._announce(this._describePiece(this.cursor));
+      return;
+    }
+
+    if (direction) {
+      const next = this._pieceToward(direction);
+      if (!next) {
+        this._announce("No piece that way");
+        return;
+      }
+      this._setCursor(next);
+      this._revealPiece(next);
+      this._announce(this._describePiece(next));
+    } else if (key === "n" || key === "p") {
+      let loose = this._loosePieces();
+      if (!loose.length) loose = puzzle.polyPieces;
+      const k = loose.indexOf(this.cursor);
+      const next = loose[(k + (key === "n" ? 1 : loose.length - 1 + (k < 0 ? 1 : 0))) % loose.length];
+      this._setCursor(next);
+      this._revealPiece(next);
+      this._announce(this._describePiece(next));
+    } else if (key === "m") {
+      const marked = !this.selection.has(this.cursor);
+      this._setMarked(this.cursor, marked);
+      this._announce(`${marked ? "Marked" : "Unmarked"}, ${this.selection.size} marked`);
+    } else if (key === "escape") {
+      this._clearSelection();
+      this._announce("Nothing marked");
+    } else if (key === "enter" || key === " " || key === "r") {
+      if (key === "r" && !puzzle.rotationAllowed) {
+        this._announce("Rotation is off");
+        return;
+      }
+      const session = { id: "keyboard", kind: "drag", tInit: tStamp };
+      if (this._isLocked(this.cursor)) {
+        this._announce("This piece is locked on the board");
+      } else if (!this._pickUp(this.cursor, session)) {
+        this._announce("This piece is being moved by someone else");
+      } else if (key !== "r") {
+        const count = session.members.length;
+        this._announce(`Picked up${count > 1 ? ` ${count} marked pieces` : ""}, ` +
+          "arrow keys move, Enter drops, Escape puts back");
+      } else {
+        // like a quick tap: turn and drop, the piece may fit now
+        this.sessions.delete("keyboard");
+        this._rotateHeld(session, puzzle.rotationAllowed === "free" ? this._rotationStep(event.shiftKey) : 1);
+        if (!this._release(session, tStamp)) {
+          this._announce(`Turned ${mround(this.cursor.rot * 90) % 360} degrees`);
+        }
+      }
+    }
+  }
+
+  _keyboardHelp() {
+    return "Arrow keys choose a piece, N and P go to the next and previous loose piece. " +
+      "Enter picks up the piece, then arrow keys move it, with Shift for larger steps " +
+      "and Alt for smaller steps, Enter drops it and Escape puts it back. " +
+      "M marks pieces that then move together, Escape unmarks them. " +
+      (this.puzzle.rotationAllowed === "free"
+        ? "R and Shift R turn the piece. "
+        : this.puzzle.rotationAllowed ? "R turns the piece. " : "") +
+      "Shift and arrow keys scroll the table, plus and minus zoom. " +
+      "Control Z undoes, Control Shift Z redoes.";
+  }
+
+  // single pieces in reading order
+  _loosePieces() {
+    const puzzle = this.puzzle;
+    const row = (pp) => mfloor(this._center(pp).y / puzzle.scaley);
+    return puzzle.polyPieces
+      .filter((pp) => pp.pieces.length === 1)
+      .sort((pp1, pp2) => row(pp1) - row(pp2) || this._center(pp1).x - this._center(pp2).x);
+  }
+
+  // closest piece from the cursor in a direction, preferring pieces in line with it
+  _pieceToward(direction) {
+    const from = this._center(this.cursor);
+    let best = null;
+    let bestScore = Infinity;
+    this.puzzle.polyPieces.forEach((pp) => {
+      if (pp === this.cursor) return;
+      const center = this._center(pp);
+      const along = (center.x - from.x) * direction.x + (center.y - from.y) * direction.y;
+      if (along <= 0) return;
+      const across = mabs((center.x - from.x) * direction.y - (center.y - from.y) * direction.x);
+      const score = along + 2 * across;
+      if (score < bestScore) {
+        best = pp;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  _describePiece(pp) {
+    const puzzle = this.puzzle;
+    let text;
+    if (pp.pieces.length > 1) {
+      text = `Group of ${pp.pieces.length} pieces`;
+    } else {
+      const edge = pp.pieces[0].neighbors.some((neighbor) => !neighbor);
+      const loose = this._loosePieces();
+      text = `${edge ? "Edge piece" : "Piece"}, ${loose.indexOf(pp) + 1} of ${loose.length}`;
+    }
+    if (puzzle.rotationAllowed && pp.rot) text += `, turned ${mround(pp.rot * 90) % 360} degrees`;
+    return text;
+  }
+
+  _center(pp) {
+    const rect = pp.getRect();
+    return { x: (rect.x + rect.right) / 2, y: (rect.y + rect.bottom) / 2 };
+  }
 
-    container.addEventListener("touchstart", (event) => {
-      this.useMouse = false;
-      event.preventDefault();
-      if (event.touches.length === 0) return;
-      const rTouch = [];
-      for (let k = 0; k < event.touches.length; ++k) {
-        rTouch[k] = puzzle.relativeMouseCoordinates(event.touches.item(k));
-      }
-      if (event.touches.length === 1) {
-        this.events.push({ event: "touch", position: rTouch[0] });
-      }
-      if (event.touches.length === 2) {
-        this.events.push({ event: "touches", touches: rTouch });
-      }
-    }, { passive: false });
+  _screenCenter(pp) {
+    return this.puzzle.toScreen(this._center(pp));
+  }
 
-    const handleLeave = () => {
-      this.events.push({ event: "leave" });
-    };
+  // pans the table so that the polypiece is visible
+  _revealPiece(pp) {
+    const puzzle = this.puzzle;
+    const rect = puzzle.toScreenRect(pp.getRect());
+    let dx = 0;
+    let dy = 0;
+    if (rect.x < 0 || rect.width > puzzle.contWidth) dx = -rect.x;
+    else if (rect.right > puzzle.contWidth) dx = puzzle.contWidth - rect.right;
+    if (rect.y < 0 || rect.height > puzzle.contHeight) dy = -rect.y;
+    else if (rect.bottom > puzzle.contHeight) dy = puzzle.contHeight - rect.bottom;
+    if (dx || dy) puzzle.sweepBy(dx, dy);
+  }
 
-    container.addEventListener("mouseup", (event) => {
-      this.useMouse = true;
-      event.preventDefault();
-      if (event.button !== 0) return;
-      handleLeave();
-    });
-    container.addEventListener("touchend", handleLeave);
-    container.addEventListener("touchleave", handleLeave);
-    container.addEventListener("touchcancel", handleLeave);
+  _setCursor(pp) {
+    const previous = this.cursor;
+    this.cursor = pp;
+    if (previous && previous !== pp && previous.focused) {
+      previous.focused = false;
+      if (this.puzzle.polyPieces.includes(previous)) previous.drawImage();
+    }
+    if (pp && pp.focused !== this.keyboardActive) {
+      pp.focused = this.keyboardActive;
+      pp.drawImage();
+    }
+  }
 
-    container.addEventListener("mousemove", (event) => {
-      this.useMouse = true;
-      event.preventDefault();
-      if (this.events.length && this.events[this.events.length - 1].event === "move")
-        this.events.pop();
-      const pos = puzzle.relativeMouseCoordinates(event);
-      this.lastMousePos = pos;
-      this.events.push({
-        event: "move",
-        position: pos,
-        ev: event
+  _setKeyboardActive(active) {
+    if (this.keyboardActive === active) return;
+    this.keyboardActive = active;
+    if (this.playing && this.puzzle.polyPieces && this.puzzle.polyPieces.includes(this.cursor)) {
+      this._setCursor(this.cursor);
+    }
+  }
+
+  // the container is emptied when a game starts or ends: the region is put back and
+  // given a moment to be noticed by screen readers before it speaks
+  _announce(message) {
+    const container = this.puzzle.container;
+    if (!this.liveRegion) {
+      this.liveRegion = document.createElement("div");
+      this.liveRegion.className = "puzzleLiveRegion";
+      this.liveRegion.setAttribute("role", "status");
+      this.liveRegion.setAttribute("aria-live", "polite");
+      Object.assign(this.liveRegion.style, {
+        position: "absolute",
+        width: "1px",
+        height: "1px",
+        overflow: "hidden",
+        clipPath: "inset(50%)",
+        whiteSpace: "nowrap"
       });
-    });
+    }
+    if (this.liveRegion.parentNode !== container) {
+      this.liveRegion.textContent = "";
+      container.appendChild(this.liveRegion);
+      setTimeout(() => {
+        this.liveRegion.textContent = message;
+      }, 100);
+    } else {
+      this.liveRegion.textContent = message;
+    }
+  }
 
-    container.addEventListener("touchmove", (event) => {
-      this.useMouse = false;
-      event.preventDefault();
-      const rTouch = [];
-      if (event.touches.length === 0) return;
-      for (let k = 0; k < event.touches.length; ++k) {
-        rTouch[k] = puzzle.relativeMouseCoordinates(event.touches.item(k));
-      }
-      if (event.touches.length === 1) {
-        if (this.events.length && this.events[this.events.length - 1].event === "move")
-          this.events.pop();
-        this.events.push({ event: "move", position: rTouch[0] });
-      }
-      if (event.touches.length === 2) {
-        if (this.events.length && this.events[this.events.length - 1].event === "moves")
-          this.events.pop();
-        this.events.push({ event: "moves", touches: rTouch });
-      }
-    }, { passive: false });
+  _watchPixelRatio() {
+    if (!window.matchMedia) return;
+    this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    this.pixelRatioHandler = () => {
+      this._pixelRatioChanged();
+      this._watchPixelRatio();
+    };
+    this.pixelRatioQuery.addEventListener("change", this.pixelRatioHandler, { once: true });
+  }
 
-    container.addEventListener("wheel", (event) => {
-      this.useMouse = true;
-      event.preventDefault();
-      if (this.events.length && this.events[this.events.length - 1].event === "wheel")
-        this.events.pop();
-      this.events.push({ event: "wheel", wheel: event });
-    });
+  _pixelRatioChanged() {
+    if (!this.puzzle.renderer) return;
+    this.puzzle.renderer.resize();
+    this.puzzle.updatePixelScale();
   }
 
   _imageLoaded() {
     this.puzzle.imageLoaded = true;
+    // the image of the game in progress is back after the one of a saved game failed to load
+    const back = this.replacedImage && !this.restoredState;
+    this.replacedImage = null;
+    if (back) return;
     let event = { event: "srcImageLoaded" };
     if (this.restoredState) {
       if (
-        mround(this.puzzle.srcImage.naturalWidth) !== this.restoredState.base[6] ||
-        mround(this.puzzle.srcImage.naturalHeight) !== this.restoredState.base[7]
+        mround(this.puzzle.srcImage.naturalWidth) !== this.restoredState.puzzle.imageWidth ||
+        mround(this.puzzle.srcImage.naturalHeight) !== this.restoredState.puzzle.imageHeight
       ) {
         event.event = "wrongImage";
         this.restoredState = null;
@@ -1444,9 +4660,15 @@ export class JigsawPuzzle {
 
   _animate(tStamp) {
     this.animationFrameId = requestAnimationFrame((ts) => this._animate(ts));
+    this._update(tStamp);
+    if (this.playing && this.puzzle.renderer) this.puzzle.renderer.render(tStamp);
+  }
 
+  _update(tStamp) {
     let event;
-    if (this.events.length) event = this.events.shift();
+    const scattering = this.state >= 25 && this.state <= 35;
+    const k = scattering ? this.events.findIndex((event) => SCATTER_EVENTS.includes(event.event)) : 0;
+    if (k >= 0 && this.events.length) event = this.events.splice(k, 1)[0];
     if (event && event.event === "reset") this.state = 0;
 
     // Resize event
@@ -1457,19 +4679,16 @@ export class JigsawPuzzle {
       puzzle.getContainerSize();
       if (this.state === 15 || this.state === 60) {
         fitImage(this.tmpImage, puzzle.contWidth * 0.95, puzzle.contHeight * 0.95);
-      } else if (this.state >= 25) {
-        const prevGameWidth = puzzle.gameWidth;
-        const prevGameHeight = puzzle.gameHeight;
-        puzzle.scale();
+      } else if (this.state >= 25 && puzzle.renderer) {
+        // scale the view around the centre of the container, the table itself doesn't change
+        const camera = puzzle.camera;
         const reScale = puzzle.contWidth / prevWidth;
-        puzzle.polyPieces.forEach((pp) => {
-          let nx = puzzle.contWidth / 2 - (prevWidth / 2 - pp.x) * reScale;
-          let ny = puzzle.contHeight / 2 - (prevHeight / 2 - pp.y) * reScale;
-          nx = mmin(mmax(nx, -puzzle.scalex / 2), puzzle.contWidth - 1.5 * puzzle.scalex);
-          ny = mmin(mmax(ny, -puzzle.scaley / 2), puzzle.contHeight - 1.5 * puzzle.scaley);
-          pp.moveTo(nx, ny);
-          pp.drawImage();
-        });
+        puzzle.renderer.resize();
+        puzzle.setCamera(
+          puzzle.contWidth / 2 - (prevWidth / 2 - camera.x) * reScale,
+          puzzle.contHeight / 2 - (prevHeight / 2 - camera.y) * reScale,
+          camera.zoom * reScale
+        );
       }
       return;
     }
@@ -1481,15 +4700,21 @@ export class JigsawPuzzle {
 
       case 10:
         this.playing = false;
-        if (!this.puzzle.imageLoaded) return;
+        this.replaying = null;
+        if (!this.puzzle.imageLoaded || this.recoveryCheck) return;
         this.puzzle.container.innerHTML = "";
         this.tmpImage = document.createElement("img");
         this.tmpImage.src = this.puzzle.srcImage.src;
         this.puzzle.getContainerSize();
         fitImage(this.tmpImage, this.puzzle.contWidth * 0.95, this.puzzle.contHeight * 0.95);
-        this.tmpImage.style.boxShadow = "-4px 4px 4px rgba(0, 0, 0, 0.5)";
+        this.tmpImage.style.boxShadow = this.puzzle.boxShadow();
         this.puzzle.container.appendChild(this.tmpImage);
         this.state = 15;
+        // an unfinished game first, so the host knows in onReady whether to start a new one
+        if (this.recoverable && this.options.onRecoverableSession) {
+          this.options.onRecoverableSession(this.recoverable);
+        }
+        this.recoverable = null;
         // Call onReady callback when puzzle is ready (image loaded and displayed)
         if (this.options.onReady) {
           this.options.onReady();
@@ -1506,27 +4731,62 @@ export class JigsawPuzzle {
           this.state = 10;
           return;
         } else if (event.event === "restore") {
+          this.restoredString = event.data || "";
+          this.recovering = !!event.recovered;
           this.state = 150;
           return;
+        } else if (event.event === "replay") {
+          this._startReplay(event);
+          return;
+        } else if (event.event === "remote") {
+          this._remote(event.message, tStamp);
+          return;
         } else return;
 
       case 20:
         this.playing = true;
-        if (this.options.onStart) this.options.onStart();
+        this.cursor = null;
+        this.sessions.clear();
+        this.flashes.clear();
+        this.selection.clear();
+        this.marquee = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastViewRecord = null;
+        this.stats = { elapsed: 0, moves: 0, rotations: 0, merges: 0, hints: 0 };
+        this.clockStart = null;
+        this.lastSecond = 0;
+        this.hints.clear();
+        this.hintTarget = null;
+        this.sliding.clear();
+        this.locks.clear();
+        this.recording = null;
+        if (this.options.onStart && !this.replaying) this.options.onStart();
+        // a loaded game brings its own, new games are cut as the options say
         this.puzzle.rotationAllowed = this.options.allowRotation;
-        if (this.restoredState) {
-          this.puzzle.create(this.restoredState.base);
-        } else {
-          this.puzzle.create();
-        }
-        if (this.restoredState) {
-          this.puzzle.doScale(this.restoredState.base[2]);
+        this.puzzle.typeOfShape = this.options.shapeType;
+        this.puzzle.layout = this.options.layout;
+        // a puzzle from a share code without progress starts like a new one
+        const resumed = this.restoredState && this.restoredState.polypieces;
+        this.puzzle.create(this.restoredState);
+        // the other players get the tables built here, not the ones they sent; the time tells
+        // a new game from the last one with the same seed
+        this.tableToSend = !!this.transport && !this.replaying && !this.joining;
+        this.tableId = this.joining ||
+          `${this.puzzle.prng.seed} ${this.puzzle.srcImage.src} ${Date.now()}`;
+        this.joining = null;
+        // the slot of another game is kept until this one autosaves over it
+        clearTimeout(this.autosaveTimer);
+        this.autosaved = !!resumed && this.recovering;
+        this.recovering = false;
+        if (resumed) {
+          this.puzzle.doScale(this.restoredState.puzzle.width);
         } else {
           this.puzzle.scale();
         }
         this.puzzle.polyPieces.forEach((pp) => {
           pp.drawImage();
-          if (this.restoredState) {
+          if (resumed) {
             pp.moveTo(pp.x, pp.y);
           } else {
             pp.moveToInitialPlace();
@@ -1535,17 +4795,27 @@ export class JigsawPuzzle {
         this.puzzle.gameCanvas.style.top = this.puzzle.offsy + "px";
         this.puzzle.gameCanvas.style.left = this.puzzle.offsx + "px";
         this.puzzle.gameCanvas.style.display = "none";
+        this.puzzle.updateBoard();
         this.state = 25;
-        if (this.restoredState) {
-          this.restoredState = null;
-          this.state = 50;
+        if (resumed) {
+          const view = this.restoredState.view;
+          if (view) this.puzzle.setCamera(view.x, view.y, view.zoom);
+          if (this.restoredState.history) {
+            this.undoStack = this.restoredState.history.undo;
+            this.redoStack = this.restoredState.history.redo;
+          }
+          if (this.restoredState.stats) this.stats = { ...this.stats, ...this.restoredState.stats };
+          // joining other players: what they are dragging
+          if (this.restoredState.locks) this.locks = new Map(this.restoredState.locks);
+          this.state = this.replaying ? 70 : 50;
         }
+        this.restoredState = null;
         break;
 
       case 25:
         this.puzzle.gameCanvas.style.display = "none";
         this.puzzle.polyPieces.forEach((pp) => {
-          pp.canvas.classList.add("moving");
+          this.puzzle.renderer.setAnimated(pp, true);
         });
         this.state = 30;
         break;
@@ -1559,142 +4829,118 @@ export class JigsawPuzzle {
       case 35:
         if (!event || event.event !== "finished") return;
         this.puzzle.polyPieces.forEach((pp) => {
-          pp.canvas.classList.remove("moving");
+          this.puzzle.renderer.setAnimated(pp, false);
         });
         this.state = 50;
         break;
 
       case 50:
+        this._endFlashes(tStamp);
+        this._endHints(tStamp);
+        this._endSliding(tStamp);
+        this._checkLongPress(tStamp);
+        if (this._isSolved()) {
+          this._pauseClock();
+          this.state = 60;
+          break;
+        }
+        if (this._tick()) break;
+        if (this.options.record && !this.recording) this._startRecording();
+        if (this.tableToSend) {
+          this.tableToSend = false;
+          this._sendSync();
+        }
+        this._sendCursor(tStamp);
+        this._drawPeers();
         if (!event) return;
         if (event.event === "stop") {
+          this._pauseClock();
+          this.sessions.clear();
+          this._endHints(Infinity);
+          this._endAutosave();
           this.state = 10;
           return;
         }
         if (event.event === "nbpieces") {
+          this._pauseClock();
           this.puzzle.nbPieces = event.nbpieces;
           this.state = 20;
         } else if (event.event === "save") {
+          // state 120 gets the next event, not this one
+          this.saveCallback = event.callback;
           this.state = 120;
-        } else if (event.event === "touch") {
-          this.moving = {
-            xMouseInit: event.position.x,
-            yMouseInit: event.position.y,
-            tInit: tStamp
-          };
-          for (let k = this.puzzle.polyPieces.length - 1; k >= 0; --k) {
-            let pp = this.puzzle.polyPieces[k];
-            if (pp.isPointInPath(event.position)) {
-              pp.selected = true;
-              pp.drawImage();
-              this.moving.pp = pp;
-              this.moving.ppXInit = pp.x;
-              this.moving.ppYInit = pp.y;
-              this.puzzle.polyPieces.splice(k, 1);
-              this.puzzle.polyPieces.push(pp);
-              pp.canvas.style.zIndex = this.puzzle.zIndexSup;
-              this.state = 55;
-              return;
-            }
-          }
-          this.state = 100;
-        } else if (event.event === "touches") {
-          this.moving = { touches: event.touches };
-          this.state = 110;
+        } else if (event.event === "restore") {
+          this._pauseClock();
+          this.restoredString = event.data || "";
+          this.recovering = !!event.recovered;
+          this.state = 150;
+        } else if (event.event === "down") {
+          this._pointerDown(event, tStamp);
+        } else if (event.event === "move") {
+          this._pointerMove(event);
+        } else if (event.event === "up") {
+          this._pointerUp(event, tStamp);
+        } else if (event.event === "wheel" && event.wheel.altKey && this.puzzle.rotationAllowed === "free") {
+          this._wheelRotate(event.wheel, tStamp);
         } else if (event.event === "wheel") {
+          const view = { ...this.puzzle.camera };
           if (event.wheel.deltaY > 0) this.puzzle.zoomBy(1.3, this.lastMousePos);
           if (event.wheel.deltaY < 0) this.puzzle.zoomBy(1 / 1.3, this.lastMousePos);
+          this._recordView(view, tStamp);
+        } else if (event.event === "key") {
+          this._handleKey(event, tStamp);
+        } else if (event.event === "undo" || event.event === "redo") {
+          this._undo(event.event === "redo");
+        } else if (event.event === "hint") {
+          this._hint(event, tStamp);
+        } else if (event.event === "arrange") {
+          this._arrange(event.command, tStamp);
+        } else if (event.event === "remote") {
+          this._remote(event.message, tStamp);
+        } else if (event.event === "replay") {
+          this._pauseClock();
+          this._startReplay(event);
         }
         break;
 
-      case 55:
-        if (!event) return;
-        if (event.event === "stop") {
+      case 70: // replay
+        this._endFlashes(tStamp);
+        if (event && event.event === "stop") {
           this.state = 10;
           return;
         }
-        switch (event.event) {
-          case "moves":
-          case "touches":
-            this.moving.pp.selected = false;
-            this.moving.pp.drawImage();
-            this.moving = { touches: event.touches };
-            this.state = 110;
-            break;
-          case "move":
-            if (event?.ev?.buttons === 0) {
-              this.events.push({ event: "leave" });
-              break;
-            }
-            this.moving.pp.moveTo(
-              event.position.x - this.moving.xMouseInit + this.moving.ppXInit,
-              event.position.y - this.moving.yMouseInit + this.moving.ppYInit
-            );
-            break;
-          case "leave":
-            if (this.puzzle.rotationAllowed && tStamp < this.moving.tInit + 250) {
-              this.moving.pp.rotate((this.moving.pp.rot + 1) % 4);
-              this.moving.pp.coerceToContainer();
-            }
-            this.moving.pp.selected = false;
-            this.moving.pp.drawImage();
-            let merged = false;
-            let doneSomething;
-            do {
-              doneSomething = false;
-              for (let k = this.puzzle.polyPieces.length - 1; k >= 0; --k) {
-                let pp = this.puzzle.polyPieces[k];
-                if (pp === this.moving.pp) continue;
-                if (this.moving.pp.ifNear(pp)) {
-                  merged = true;
-                  if (pp.pieces.length > this.moving.pp.pieces.length) {
-                    pp.merge(this.moving.pp);
-                    this.moving.pp = pp;
-                  } else {
-                    this.moving.pp.merge(pp);
-                  }
-                  doneSomething = true;
-                  break;
-                }
-              }
-            } while (doneSomething);
-            this.puzzle.evaluateZIndex();
-            if (merged) {
-              this.moving.pp.selected = true;
-              this.moving.pp.drawImage(true);
-              this.moving.tInit = tStamp + 500;
-              this.state = 56;
-              break;
-            }
-            this.state = 50;
-            if (this.puzzle.polyPieces.length === 1 && this.puzzle.polyPieces[0].rot === 0) {
-              this.state = 60;
-            }
+        if (event && event.event === "nbpieces") {
+          this.replaying = null;
+          this.puzzle.nbPieces = event.nbpieces;
+          this.state = 20;
+        } else if (event && event.event === "replay") {
+          this._startReplay(event);
+        } else {
+          if (event && event.event === "replayControl") this._controlReplay(event, tStamp);
+          this._playReplay(tStamp);
         }
         break;
 
-      case 56:
-        if (tStamp < this.moving.tInit) return;
-        this.moving.pp.selected = false;
-        this.moving.pp.drawImage();
-        if (this.puzzle.polyPieces.length === 1 && this.puzzle.polyPieces[0].rot === 0)
-          this.state = 60;
-        else
-          this.state = 50;
-        break;
-
       case 60:
         this.playing = false;
-        if (this.options.onWin) this.options.onWin();
+        this._endAutosave();
+        if (this.options.onWin) this.options.onWin(this.getStats());
         this.puzzle.container.innerHTML = "";
         this.puzzle.getContainerSize();
         fitImage(this.tmpImage, this.puzzle.contWidth * 0.95, this.puzzle.contHeight * 0.95);
         const finalWidth = this.tmpImage.style.width;
         const finalHeight = this.tmpImage.style.height;
-        this.tmpImage.style.width = `${this.puzzle.nx * this.puzzle.scalex}px`;
-        this.tmpImage.style.height = `${this.puzzle.ny * this.puzzle.scaley}px`;
-        this.tmpImage.style.left = `${((this.puzzle.polyPieces[0].x + this.puzzle.scalex / 2 + this.puzzle.gameWidth / 2) / this.puzzle.contWidth) * 100}%`;
-        this.tmpImage.style.top = `${((this.puzzle.polyPieces[0].y + this.puzzle.scaley / 2 + this.puzzle.gameHeight / 2) / this.puzzle.contHeight) * 100}%`;
-        this.tmpImage.style.boxShadow = "-4px 4px 4px rgba(0, 0, 0, 0.5)";
+        // start the picture where the solved puzzle is on screen
+        const zoom = this.puzzle.camera.zoom;
+        const center = this.puzzle.toScreen({
+          x: this.puzzle.polyPieces[0].x + this.puzzle.scalex / 2 + this.puzzle.gameWidth / 2,
+          y: this.puzzle.polyPieces[0].y + this.puzzle.scaley / 2 + this.puzzle.gameHeight / 2
+        });
+        this.tmpImage.style.width = `${this.puzzle.nx * this.puzzle.scalex * zoom}px`;
+        this.tmpImage.style.height = `${this.puzzle.ny * this.puzzle.scaley * zoom}px`;
+        this.tmpImage.style.left = `${(center.x / this.puzzle.contWidth) * 100}%`;
+        this.tmpImage.style.top = `${(center.y / this.puzzle.contHeight) * 100}%`;
+        this.tmpImage.style.boxShadow = this.puzzle.boxShadow();
         this.tmpImage.classList.add("moving");
         setTimeout(() => {
           this.tmpImage.style.top = this.tmpImage.style.left = "50%";
@@ -1702,106 +4948,48 @@ export class JigsawPuzzle {
           this.tmpImage.style.height = finalHeight;
         }, 0);
         this.puzzle.container.appendChild(this.tmpImage);
+        this._announce("Puzzle solved!");
         this.state = 15;
         break;
 
-      case 100:
-        if (!event) return;
-        if (event.event === "move") {
-          if (event?.ev?.buttons === 0) {
-            this.state = 50;
-            break;
-          }
-          this.puzzle.sweepBy(
-            event.position.x - this.moving.xMouseInit,
-            event.position.y - this.moving.yMouseInit
-          );
-          this.moving.xMouseInit = event.position.x;
-          this.moving.yMouseInit = event.position.y;
-          return;
-        }
-        if (event.event === "leave") {
-          this.state = 50;
-          return;
-        }
-        if (event.event === "touches") {
-          this.moving = { touches: event.touches };
-          this.state = 110;
-        }
-        break;
-
-      case 110:
-        if (!event) return;
-        if (event.event === "leave") {
-          this.state = 50;
-          return;
-        }
-        if (event.event === "moves") {
-          const center = {
-            x: (this.moving.touches[0].x + this.moving.touches[1].x) / 2,
-            y: (this.moving.touches[0].y + this.moving.touches[1].y) / 2
-          };
-          const dInit = mhypot(
-            this.moving.touches[0].x - this.moving.touches[1].x,
-            this.moving.touches[0].y - this.moving.touches[1].y
-          );
-          const d = mhypot(
-            event.touches[0].x - event.touches[1].x,
-            event.touches[0].y - event.touches[1].y
-          );
-          const dRef = msqrt(this.puzzle.contWidth * this.puzzle.contHeight) / 5;
-          this.puzzle.zoomBy(Math.exp((d - dInit) / dRef), center);
-          this.moving.touches = event.touches;
-          return;
-        }
-        break;
-
       case 120:
-        const savedData = this.puzzle.getStateData();
-        const savedString = JSON.stringify(savedData);
-        if (event && event.callback) {
-          event.callback(savedString);
+        const savedString = JSON.stringify(this._saveData());
+        if (this.saveCallback) {
+          this.saveCallback(savedString);
+          this.saveCallback = null;
         }
         this.state = 50;
         break;
 
       case 150:
-        this.restoredString = "";
-        if (event && event.data) {
-          this.restoredString = event.data;
-          this.state = 155;
-        } else {
-          try {
-            this.restoredString = localStorage.getItem("savepuzzle");
-            if (!this.restoredString) this.restoredString = "";
-          } catch (exception) {
-            this.restoredString = "";
-          }
-          if (this.restoredString.length === 0) {
-            this.state = 15;
-            break;
-          }
-          this.state = 155;
+        if (this.restoredString.length === 0) {
+          // nothing to load: back to the game in progress, if any
+          this.state = this.playing ? 50 : 15;
+          break;
         }
+        this.state = 155;
         break;
 
       case 155:
+        let errors;
         try {
           this.restoredState = JSON.parse(this.restoredString);
+          errors = validateSave(this.restoredState);
         } catch (error) {
-          this.restoredState = null;
-          this.state = 10;
-          break;
+          errors = ["not valid JSON"];
         }
-        if (
-          !this.restoredState.signature ||
-          this.restoredState.signature !== FILE_SIGNATURE ||
-          !this.restoredState.src
-        ) {
+        if (errors.length) {
+          // the game in progress, if any, goes on
+          console.error(`Cannot load saved game: ${errors.join(", ")}`);
           this.restoredState = null;
-          this.state = 10;
+          this.replaying = null;
+          this.joining = null;
+          this.recovering = false;
+          this.state = this.playing ? 50 : 15;
           break;
         }
+        this.restoredState = migrateSave(this.restoredState);
+        this.replacedImage = { src: this.puzzle.srcImage.src, origin: this.puzzle.srcImage.dataset.origin };
         this.puzzle.imageLoaded = false;
         this.puzzle.srcImage.src = this.restoredState.src;
         if (this.restoredState.origin)
@@ -1815,7 +5003,23 @@ export class JigsawPuzzle {
         if (event && event.event === "srcImageLoaded") {
           this.state = 160;
         } else if (event && event.event === "wrongImage") {
+          this.joining = null;
+          this.recovering = false;
           this.state = 10;
+        } else if (event && event.event === "srcImageError") {
+          // the game in progress, if any, goes on with its own image
+          console.error(`Cannot load saved game: the image ${this.restoredState.src} can't be loaded`);
+          if (this.replacedImage.src) this.puzzle.srcImage.src = this.replacedImage.src;
+          else this.replacedImage = null;
+          if (this.replacedImage.origin)
+            this.puzzle.srcImage.dataset.origin = this.replacedImage.origin;
+          else
+            delete this.puzzle.srcImage.dataset.origin;
+          this.restoredState = null;
+          this.replaying = null;
+          this.joining = null;
+          this.recovering = false;
+          this.state = this.playing ? 50 : 15;
         }
         break;
 
@@ -1831,6 +5035,92 @@ export class JigsawPuzzle {
   // Public API Methods
   // ============================================================================
 
+  /**
+   * Get the part of the table visible in the container
+   * Table coordinates are pixels at zoom 1; piece positions don't change when panning or zooming
+   * @returns {Object} { x, y, width, height, zoom } - Visible rectangle on the table and zoom factor
+   */
+  getViewport() {
+    return this.puzzle.getViewport();
+  }
+
+  /**
+   * Pan and zoom the table
+   * @param {Object} viewport - { x, y, zoom }: table point shown at the top left corner of the
+   *   container and zoom factor; missing values are kept
+   */
+  setViewport(viewport) {
+    if (!this.puzzle.renderer) return;
+    this.puzzle.setViewport(viewport);
+  }
+
+  /**
+   * Export the cut lines of the current puzzle as an SVG document
+   * @param {Object} options - Export options
+   * @param {string} options.format - Only "svg" is supported (default: "svg")
+   * @param {number} options.width - Width of the document (default: natural image width)
+   * @param {number} options.height - Height of the document (default: keeps the image ratio)
+   * @param {string} options.unit - Unit of width and height, e.g. "mm" (default: user units)
+   * @param {string} options.mode - "edges" for one path per edge, "pieces" for one closed path per piece (default: "edges")
+   * @param {number} options.strokeWidth - Width of the cut lines (default: 1)
+   * @param {boolean} options.includeImage - Embed the image under the cut lines (default: false)
+   * @returns {string} SVG document
+   */
+  exportCutPattern(options = {}) {
+    const format = options.format || "svg";
+    if (format !== "svg") {
+      throw new Error(`Unsupported cut pattern format "${format}"`);
+    }
+    if (!this.puzzle.pieces || !this.puzzle.scalex) {
+      throw new Error("No puzzle has been created yet");
+    }
+    return this.puzzle.getCutPattern(options);
+  }
+
+  /**
+   * Register a custom piece shape
+   * @param {string} name - Name to use as shapeType; saves record the shape by this name
+   * @param {Function} twistf - Edge generator called as (side, ca, cb, prng), see twist0
+   */
+  static registerShape(name, twistf) {
+    registerShape(name, twistf);
+  }
+
+  /**
+   * Check a saved game before loading it, e.g. one uploaded by a user
+   * @param {string|Object} savedData - What save() gave, of any version
+   * @returns {string[]} what is wrong with it, empty if load() can load it
+   */
+  static validateSave(savedData) {
+    if (typeof savedData !== "string") return validateSave(savedData);
+    try {
+      return validateSave(JSON.parse(savedData));
+    } catch (error) {
+      return ["not valid JSON"];
+    }
+  }
+
+  /**
+   * Bring a saved game of an older version to the current one, e.g. to upgrade stored saves.
+   * load() does it by itself
+   * @param {string|Object} savedData - What save() gave, of any version
+   * @returns {Object} the saved game in the current version
+   */
+  static migrateSave(savedData) {
+    const saved = typeof savedData === "string" ? JSON.parse(savedData) : savedData;
+    const errors = validateSave(saved);
+    if (errors.length) throw new Error(`Cannot migrate saved game: ${errors.join(", ")}`);
+    return migrateSave(saved);
+  }
+
+  /**
+   * Seed of the current game, as a string
+   * Falls back to the seed option before the first game is created
+   */
+  get seed() {
+    return this.puzzle.prng ? this.puzzle.prng.seed : this.options.seed;
+  }
+
   /**
    * Start a new game with the current settings
    */
@@ -1861,30 +5151,339 @@ export class JigsawPuzzle {
   }
 
   /**
-   * Save the current game state
-   * @param {Function} callback - Optional callback to receive saved data as JSON string
+   * Save the current game state, to a callback or to a slot of the storage option
+   * @param {Function|string} target - Callback receiving the saved data as a JSON string, or
+   *   name of the slot (default: "default")
+   * @returns {Promise|undefined} with a slot, resolves once the game is stored, rejects if no
+   *   game is in progress
    */
-  save(callback) {
-    if (callback) {
-      this.events.push({ event: "save", callback });
-    } else {
-      // Default: save to localStorage
+  save(target = DEFAULT_SLOT) {
+    if (typeof target === "function") {
+      this.events.push({ event: "save", callback: target });
+      return undefined;
+    }
+    // only state 50 saves, the other states drop the event
+    if (this.state !== 50 && this.state !== 120) return Promise.reject(new Error("No game in progress"));
+    return new Promise((resolve, reject) => {
       this.events.push({ event: "save", callback: (data) => {
-        try {
-          localStorage.setItem("savepuzzle", data);
-        } catch (exception) {
-          console.error("Failed to save to localStorage:", exception);
-        }
+        this.options.storage.set(target, this._slotRecord(JSON.parse(data))).then(resolve, reject);
+      }});
+    });
+  }
+
+  /**
+   * Load a saved game state, from data or from a slot of the storage option
+   * @param {string} source - JSON string of saved data (it starts with "{"), or name of the
+   *   slot (default: "default")
+   * @returns {Promise<boolean>} resolves to whether there was a game to load, rejects with what
+   *   is wrong if the saved game can't be loaded
+   */
+  async load(source) {
+    source = source ?? DEFAULT_SLOT;
+    let data = source;
+    if (!source.trim().startsWith("{")) {
+      const record = await this.options.storage.get(source);
+      data = record && JSON.stringify(record.data);
+      if (!record && source === DEFAULT_SLOT && this.options.storage instanceof LocalStorageAdapter) {
+        // games saved before there were slots
+        data = localStorage.getItem(LEGACY_SAVE_KEY);
+      }
+      if (!data) return false;
+    }
+    const errors = JigsawPuzzle.validateSave(data);
+    if (errors.length) throw new Error(`Cannot load saved game: ${errors.join(", ")}`);
+    this.events.push({ event: "restore", data, recovered: source === AUTOSAVE_SLOT });
+    return true;
+  }
+
+  /**
+   * The save slots of the storage option, last played first
+   * @returns {Promise<Object[]>} [{ name, image, pieces, progress, lastPlayed }]: image URL,
+   *   number of pieces, percent of the puzzle joined and time of the save in ms since 1970
+   */
+  async listSaves() {
+    const storage = this.options.storage;
+    const names = await storage.list();
+    const records = await Promise.all(names.map((name) => storage.get(name)));
+    return names
+      .map((name, k) => records[k] && { name, ...records[k].meta })
+      .filter((save) => save)
+      .sort((save1, save2) => save2.lastPlayed - save1.lastPlayed);
+  }
+
+  /**
+   * Delete a save slot
+   * @param {string} name - Name of the slot
+   * @returns {Promise} resolves once it is deleted
+   */
+  deleteSave(name) {
+    return this.options.storage.remove(name);
+  }
+
+  /**
+   * The current game as a .puz file, with the image in it: it can be loaded anywhere, even
+   * once the image URL is gone
+   * @returns {Promise<File>} resolves to the file, named "puzzle.puz"
+   */
+  exportFile() {
+    if (this.state !== 50 && this.state !== 120) return Promise.reject(new Error("No game in progress"));
+    return new Promise((resolve, reject) => {
+      this.events.push({ event: "save", callback: (data) => {
+        const saved = JSON.parse(data);
+        embedImage(this.puzzle.srcImage).then((src) => {
+          saved.src = src;
+          resolve(new File([JSON.stringify(saved)], "puzzle" + FILE_EXTENSION, { type: "application/json" }));
+        }, reject);
       }});
+    });
+  }
+
+  /**
+   * Load a .puz file made by exportFile(), or a saved game in a file
+   * @param {Blob} file - The file, e.g. from an <input type="file"> or a drop
+   * @returns {Promise} rejects with what is wrong if the file can't be loaded
+   */
+  async importFile(file) {
+    const data = await file.text();
+    const errors = JigsawPuzzle.validateSave(data);
+    if (errors.length) throw new Error(`Cannot import ${file.name || "file"}: ${errors.join(", ")}`);
+    await this.load(data);
+  }
+
+  /**
+   * A short URL-safe code of the current puzzle, e.g. for a link fragment: who opens it with
+   * fromShareCode() gets the same image, cuts and shuffle. The image stays where it is, so it
+   * needs a URL the others can open, not a blob: or data: one.
+   * @param {Object} options - { includeProgress }: with the pieces where they are now, to the
+   *   pixel (default: false)
+   * @returns {string} the code, letters, digits, "-" and "_" only
+   */
+  toShareCode({ includeProgress = false } = {}) {
+    if (!this.puzzle.pieces || !this.puzzle.scalex) {
+      throw new Error("No puzzle has been created yet");
+    }
+    const saved = this.puzzle.getStateData();
+    // the others can't open a blob:, a data: URL would put the whole image in the code
+    const scheme = ["blob:", "data:"].find((scheme) => saved.src.startsWith(scheme));
+    if (scheme) throw new Error(`A ${scheme} image URL can't be shared`);
+    return packShareCode(saved, includeProgress);
+  }
+
+  /**
+   * Play the puzzle of a toShareCode() code: from the start, or where the pieces were if the
+   * code has the progress
+   * @param {string} code - The code
+   * @returns {Promise} rejects with what is wrong if the code can't be loaded
+   */
+  async fromShareCode(code) {
+    const saved = unpackShareCode(code);
+    const errors = validateSave(saved);
+    if (errors.length) throw new Error(`Cannot load the share code: ${errors.join(", ")}`);
+    await this.load(JSON.stringify(saved));
+  }
+
+  /**
+   * Load the unfinished game of the autosave option, see onRecoverableSession
+   * @returns {Promise<boolean>} resolves to whether there was a game to load
+   */
+  recover() {
+    return this.load(AUTOSAVE_SLOT);
+  }
+
+  /**
+   * Undo the last move, rotation, merge or view change
+   * Nothing happens while pieces are being dragged
+   */
+  undo() {
+    this.events.push({ event: "undo" });
+  }
+
+  /**
+   * Redo the last undone action
+   */
+  redo() {
+    this.events.push({ event: "redo" });
+  }
+
+  /**
+   * Play with other players: pieces grabbed, moved, turned, dropped and joined here show up at
+   * theirs and the other way round. Pieces someone drags are locked for the others, and
+   * everyone sees the other players' cursors. A player joining a game in progress gets the
+   * table of the others; until someone answers, the local game goes on.
+   * @param {Object} transport - Carries the messages: BroadcastChannelTransport, or any object
+   *   with send(message), onMessage(handler) and close()
+   * @param {Object} user - { id, name, color } of the local player, all optional
+   */
+  connect(transport, user = {}) {
+    if (this.transport) this.disconnect();
+    this.transport = transport;
+    this.user = {
+      id: user.id || Math.random().toString(36).slice(2, 10),
+      name: user.name || "Player",
+      color: user.color || PEER_COLORS[mfloor(Math.random() * PEER_COLORS.length)]
+    };
+    transport.onMessage((message) => this._receive(message));
+    if (!this.pageHideHandler) {
+      // the others unlock the pieces of a player closing the page
+      this.pageHideHandler = () => this.disconnect();
+      window.addEventListener("pagehide", this.pageHideHandler);
+    }
+    this.syncPending = true;
+    this._emit({ type: "hello" });
+  }
+
+  /**
+   * Stop playing with the other players, the local game goes on
+   */
+  disconnect() {
+    if (!this.transport) return;
+    this._emit({ type: "bye" });
+    this.transport.close();
+    this.transport = null;
+    this.syncPending = false;
+    [...this.peers.keys()].forEach((user) => this._removePeer(user));
+  }
+
+  /**
+   * Recording of the current game, or of the last one, when the record option is set
+   * @returns {Object|null} { start, ops, duration }: the table at the start as getStateData()
+   *   gives it (so with the seed and base), the picks, moves, turns, joins, pans and zooms with
+   *   their time of play in ms, and the length of the recording in ms
+   */
+  getRecording() {
+    const recording = this.recording;
+    if (!recording) return null;
+    const duration = mround(this._elapsed()) - recording.t0;
+    return JSON.parse(JSON.stringify({ start: recording.start, ops: recording.ops, duration }));
+  }
+
+  /**
+   * Play a recording in the container, in place of the current game. Pieces can't be moved
+   * during a replay; stop() or start() ends it
+   * @param {Object} recording - What getRecording() returned
+   * @param {Object} options - { speed }: from 1 to 16 times the speed of the game (default: 1)
+   */
+  replay(recording, options = {}) {
+    if (!recording || !recording.start || !Array.isArray(recording.ops)) {
+      throw new Error("Not a recording");
+    }
+    this.events.push({ event: "replay", recording, speed: normalizeReplaySpeed(options.speed ?? 1) });
+  }
+
+  /**
+   * Pause the replay
+   */
+  pauseReplay() {
+    this.events.push({ event: "replayControl", paused: true });
+  }
+
+  /**
+   * Play the replay on, from the start again if it is over
+   */
+  resumeReplay() {
+    this.events.push({ event: "replayControl", paused: false });
+  }
+
+  /**
+   * Jump to a time of the replay
+   * @param {number} time - Time in ms from the start of the recording
+   */
+  seekReplay(time) {
+    this.events.push({ event: "replayControl", time });
+  }
+
+  /**
+   * Change the speed of the replay
+   * @param {number} speed - From 1 to 16 times the speed of the game
+   */
+  setReplaySpeed(speed) {
+    this.events.push({ event: "replayControl", speed: normalizeReplaySpeed(speed) });
+  }
+
+  /**
+   * Stats of the current game
+   * @returns {Object} { elapsed, moves, rotations, merges, hints, percent }: play time in
+   *   milliseconds (not counting the time the page was hidden), pieces moved, turned, joins,
+   *   hints given and how much of the puzzle is joined, from 0 to 100. With the game modes
+   *   options, also timeLeft (ms), movesLeft and overPar
+   */
+  getStats() {
+    const puzzle = this.puzzle;
+    const { timeLimit, moveLimit, par } = this.options;
+    const stats = { ...this.stats, elapsed: mround(this._elapsed()) };
+    stats.percent = puzzle.polyPieces && puzzle.pieceCount > 1
+      ? mround(((puzzle.pieceCount - puzzle.polyPieces.length) / (puzzle.pieceCount - 1)) * 100)
+      : 0;
+    if (timeLimit) stats.timeLeft = mmax(0, timeLimit * 1000 - stats.elapsed);
+    if (moveLimit) stats.movesLeft = mmax(0, moveLimit - stats.moves);
+    if (par) stats.overPar = stats.moves - par;
+    return stats;
+  }
+
+  /**
+   * Move the loose border pieces to rows above the board
+   */
+  gatherEdges() {
+    this.events.push({ event: "arrange", command: "edges" });
+  }
+
+  /**
+   * Lay out the loose pieces in rows below the board, grouped by the color of their part of
+   * the picture. The image must be readable (same origin or served with CORS headers)
+   */
+  sortByColor() {
+    this.events.push({ event: "arrange", command: "color" });
+  }
+
+  /**
+   * Move loose pieces lying on top of other pieces to the nearest free place
+   */
+  spreadOverlapping() {
+    this.events.push({ event: "arrange", command: "spread" });
+  }
+
+  /**
+   * Pile all loose pieces left of the board
+   */
+  stackAll() {
+    this.events.push({ event: "arrange", command: "stack" });
+  }
+
+  /**
+   * Give the player a hint, counted in hintCount
+   * @param {Object} options - Hint options
+   * @param {string} options.mode - "pair" to highlight two pieces that fit together,
+   *   "target" to show where the held or chosen piece belongs on the board,
+   *   "place" to join one piece where it fits (default: "pair")
+   * @param {number} options.duration - How long the hint is shown, in milliseconds (default: 2000)
+   */
+  hint(options = {}) {
+    const mode = options.mode || "pair";
+    if (!HINT_MODES.includes(mode)) {
+      throw new Error(`Unknown hint mode: ${mode}. Use one of ${HINT_MODES.join(", ")}`);
     }
+    this.events.push({ event: "hint", mode, duration: options.duration ?? 2000 });
+  }
+
+  /**
+   * Number of hints given in the current game
+   */
+  get hintCount() {
+    return this.stats.hints;
+  }
+
+  /**
+   * @returns {boolean} Whether there is an action to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
   }
 
   /**
-   * Load a saved game state
-   * @param {string} savedData - JSON string of saved data, or null to load from localStorage
+   * @returns {boolean} Whether there is an undone action to redo
    */
-  load(savedData) {
-    this.events.push({ event: "restore", data: savedData });
+  canRedo() {
+    return this.redoStack.length > 0;
   }
 
   /**
@@ -1903,6 +5502,17 @@ export class JigsawPuzzle {
    * @param {Object} newOptions - Options to update
    */
   setOptions(newOptions) {
+    if (newOptions.shapeType !== undefined) {
+      newOptions = { ...newOptions, shapeType: normalizeShapeType(newOptions.shapeType) };
+    }
+    if (newOptions.allowRotation !== undefined) normalizeRotation(newOptions.allowRotation);
+    if (newOptions.layout !== undefined) normalizeLayout(newOptions.layout);
+    if (newOptions.ghostOpacity !== undefined) normalizeGhostOpacity(newOptions.ghostOpacity);
+    if (newOptions.renderer !== undefined) normalizeRenderer(newOptions.renderer);
+    if (newOptions.storage !== undefined) normalizeStorage(newOptions.storage);
+    if (newOptions.theme !== undefined) {
+      newOptions = { ...newOptions, theme: normalizeTheme(newOptions.theme) };
+    }
     Object.assign(this.options, newOptions);
     if (newOptions.numPieces !== undefined) {
       this.puzzle.nbPieces = newOptions.numPieces;
@@ -1910,9 +5520,43 @@ export class JigsawPuzzle {
     if (newOptions.allowRotation !== undefined) {
       this.puzzle.rotationAllowed = newOptions.allowRotation;
     }
+    if (newOptions.rotationTolerance !== undefined) {
+      this.puzzle.rotationTolerance = newOptions.rotationTolerance;
+    }
     if (newOptions.shapeType !== undefined) {
       this.puzzle.typeOfShape = newOptions.shapeType;
     }
+    if (newOptions.layout !== undefined) {
+      this.puzzle.layout = newOptions.layout;
+    }
+    if (newOptions.seed !== undefined) {
+      this.puzzle.seed = newOptions.seed;
+    }
+    if (newOptions.renderer !== undefined) {
+      this.puzzle.rendererType = newOptions.renderer;
+    }
+    if (newOptions.theme !== undefined) {
+      this.puzzle.setTheme(newOptions.theme);
+    }
+    if (newOptions.pixelRatio !== undefined) {
+      this.puzzle.pixelRatio = newOptions.pixelRatio;
+      this._pixelRatioChanged();
+    }
+    if (newOptions.minZoom !== undefined) {
+      this.puzzle.minZoom = newOptions.minZoom;
+    }
+    if (newOptions.maxZoom !== undefined) {
+      this.puzzle.maxZoom = newOptions.maxZoom;
+    }
+    if (newOptions.board !== undefined || newOptions.ghostOpacity !== undefined) {
+      this.puzzle.showBoard = this.options.board;
+      this.puzzle.ghostOpacity = this.options.ghostOpacity;
+      this.puzzle.updateBoard();
+    }
+    if (newOptions.historyLimit !== undefined && this.undoStack.length > newOptions.historyLimit) {
+      this.undoStack.splice(0, this.undoStack.length - newOptions.historyLimit);
+      this._historyChanged();
+    }
   }
 
   /**
@@ -1927,6 +5571,22 @@ export class JigsawPuzzle {
       this.animationFrameId = null;
     }
     
+    // Stop watching the pixel ratio
+    if (this.pixelRatioQuery) this.pixelRatioQuery.removeEventListener("change", this.pixelRatioHandler);
+
+    // No more autosaves: they would overwrite the one of a new instance
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    document.removeEventListener("visibilitychange", this.visibilityHandler);
+    window.removeEventListener("pagehide", this.autosaveHandler);
+
+    // Leave the other players, they unlock the pieces held here
+    this.disconnect();
+    if (this.pageHideHandler) {
+      window.removeEventListener("pagehide", this.pageHideHandler);
+      this.pageHideHandler = null;
+    }
+
     // Clear events
     this.events = [];
     this.playing = false;